@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+// Dump the contents of a Java serialization stream in human readable form.
+
+"use strict";
+
+var fs = require("fs");
+var Long = require("long");
+var Parser = require("../src/parser.js");
+var JavaException = require("../src/exception.js");
+var schema = require("../src/schema.js");
+require("../src/util.js");
+require("../src/time.js");
+
+var usage = [
+    "Usage: java-deserialize [options] [file...]",
+    "",
+    "Reads a serialized Java stream from file, or from stdin if omitted or -,",
+    "and prints the objects it contains.",
+    "The schema and typescript formats describe the classes found in all files.",
+    "",
+    "Options:",
+    "  -f, --format FMT  Output format: tree (default), json, records,",
+    "                    schema or typescript",
+    "  -d, --depth N     Don't print values nested deeper than N levels",
+    "  -H, --hidden      Include the hidden class and extends properties",
+    "  -l, --lenient     Recover from errors as far as possible, reporting them",
+    "  -h, --help        Show this help",
+].join("\n");
+
+function parseArgs(argv) {
+    var args = {format: "tree", depth: Infinity, hidden: false, lenient: false, files: ["-"]};
+    var files = [];
+    for (var i = 0; i < argv.length; ++i) {
+        var arg = argv[i];
+        var eq = arg.indexOf("=");
+        var value = null;
+        if (arg.slice(0, 2) === "--" && eq !== -1) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+        var needValue = function() {
+            if (value === null) {
+                if (++i >= argv.length)
+                    throw Error("Missing value for " + arg);
+                value = argv[i];
+            }
+            return value;
+        };
+        switch (arg) {
+            case "-f":
+            case "--format":
+                args.format = needValue();
+                if (!formats.hasOwnProperty(args.format))
+                    throw Error("Unknown format " + args.format);
+                break;
+            case "-d":
+            case "--depth":
+                args.depth = Number(needValue());
+                if (!(args.depth >= 0 && args.depth % 1 === 0))
+                    throw Error("Invalid depth " + value);
+                break;
+            case "-H":
+            case "--hidden":
+                args.hidden = true;
+                break;
+            case "-l":
+            case "--lenient":
+                args.lenient = true;
+                break;
+            case "-h":
+            case "--help":
+                args.help = true;
+                break;
+            default:
+                if (arg !== "-" && arg.charAt(0) === "-")
+                    throw Error("Unknown option " + arg);
+                files.push(arg);
+        }
+    }
+    if (files.length > 1 && !formats[args.format].multipleFiles)
+        throw Error("Only one input file allowed for format " + args.format);
+    if (files.length)
+        args.files = files;
+    return args;
+}
+
+// Parse as much as possible, so that the output is still useful
+// for streams which are truncated or otherwise broken.
+function parseAll(buf, options) {
+    var parser = Object.create(Parser.prototype);
+    parser.init(buf, options);
+    var error = null;
+    try {
+        parser.magic();
+        parser.version();
+        parser.items();
+    } catch (err) {
+        error = err;
+    }
+    // The records still being parsed show where the error occurred.
+    return {
+        contents: parser.contents,
+        error: error,
+        records: parser.records,
+        diagnostics: parser.diagnostics || [],
+    };
+}
+
+var isClassDesc = schema.isClassDesc;
+
+function className(cls) {
+    if (!cls)
+        return "null";
+    if (cls.isProxy)
+        return "Proxy(" + cls.interfaces.join(", ") + ")";
+    return schema.className(cls.name);
+}
+
+function hex(n, digits) {
+    return ("00000000" + n.toString(16)).slice(-digits);
+}
+
+function truncate(str, len) {
+    return str.length > len ? str.slice(0, len - 1) + "…" : str;
+}
+
+function scalar(val) {
+    if (val === null || val === undefined || typeof val === "number" || typeof val === "boolean")
+        return String(val);
+    if (typeof val === "string")
+        return JSON.stringify(val);
+    if (Long.isLong(val))
+        return val.toString() + "L";
+    if (Buffer.isBuffer(val))
+        return "<" + val.length + " bytes> " + truncate(val.toString("hex"), 65);
+    if (val instanceof Date)
+        return isNaN(val.getTime()) ? "Invalid Date" : val.toISOString();
+    return null;
+}
+
+// Pretty tree, with &N marking objects which occur more than once
+// and *N referring back to them.
+function TreePrinter(args) {
+    this.args = args;
+    this.lines = [];
+    this.counts = new Map();
+    this.labels = new Map();
+}
+
+TreePrinter.prototype.count = function(val) {
+    if (scalar(val) !== null)
+        return;
+    var n = (this.counts.get(val) || 0) + 1;
+    this.counts.set(val, n);
+    if (n === 1)
+        this.children(val).forEach(function(child) { this.count(child[1]); }, this);
+}
+
+TreePrinter.prototype.header = function(val) {
+    if (val instanceof JavaException)
+        return "JavaException " + val.message;
+    if (val instanceof String)
+        return className(val.class) + "." + val;
+    if (val instanceof Map)
+        return "Map(" + val.size + ")";
+    if (val instanceof Set)
+        return "Set(" + val.size + ")";
+    if (isClassDesc(val))
+        return "class " + className(val) + " " + val.serialVersionUID;
+    if (Array.isArray(val)) {
+        if (val.class)
+            return className(val.class).replace(/\[\]/, "[" + val.length + "]");
+        return "Array(" + val.length + ")";
+    }
+    if (val.class)
+        return className(val.class);
+    return "Object";
+}
+
+TreePrinter.prototype.children = function(val) {
+    var res = [];
+    if (val instanceof JavaException) {
+        res.push(["throwable", val.throwable]);
+    } else if (val instanceof Map) {
+        val.forEach(function(v, k) {
+            res.push([scalar(k) !== null ? scalar(k) : this.header(k), v]);
+        }, this);
+    } else if (val instanceof Set) {
+        var i = 0;
+        val.forEach(function(v) { res.push(["[" + i++ + "]", v]); });
+    } else if (isClassDesc(val)) {
+        if (this.args.hidden) {
+            res.push(["flags", val.flags]);
+            val.fields.forEach(function(field) {
+                res.push([field.name, field.className || field.type]);
+            });
+            res.push(["super", val.super]);
+        }
+    } else if (!(val instanceof String)) {
+        Object.keys(val).forEach(function(key) {
+            res.push([Array.isArray(val) ? "[" + key + "]" : key, val[key]]);
+        });
+    }
+    if (this.args.hidden && val.class) {
+        res.push(["(class)", val.class]);
+        res.push(["(extends)", val.extends]);
+    }
+    return res;
+}
+
+TreePrinter.prototype.print = function(indent, key, val, level) {
+    var prefix = indent + key;
+    var line = scalar(val);
+    if (line !== null)
+        return this.lines.push(prefix + line);
+    line = this.header(val);
+    var label = this.labels.get(val);
+    if (label)
+        return this.lines.push(prefix + line + " *" + label);
+    if (this.counts.get(val) > 1) {
+        label = this.labels.size + 1;
+        this.labels.set(val, label);
+        line += " &" + label;
+    }
+    var children = this.children(val);
+    if (children.length && level >= this.args.depth)
+        return this.lines.push(prefix + line + " {…}");
+    this.lines.push(prefix + line);
+    children.forEach(function(child) {
+        this.print(indent + "  ", child[0] + ": ", child[1], level + 1);
+    }, this);
+}
+
+function tree(buf, args) {
+    var res = parseAll(buf, {lenient: args.lenient});
+    var printer = new TreePrinter(args);
+    res.contents.forEach(function(item) { printer.count(item); });
+    res.contents.forEach(function(item, i) {
+        printer.print("", "[" + i + "] ", item, 0);
+    });
+    res.lines = printer.lines;
+    return res;
+}
+
+// Plain JSON, with cycles and values beyond the depth limit elided.
+function toPlain(val, args, level, stack) {
+    var str = scalar(val);
+    if (str !== null) {
+        if (Long.isLong(val))
+            return val.toString();
+        if (Buffer.isBuffer(val))
+            return val.toString("hex");
+        if (val instanceof Date)
+            return str;
+        return val === undefined ? null : val;
+    }
+    if (val instanceof String)
+        return val.valueOf();
+    if (stack.indexOf(val) !== -1)
+        return "[Circular]";
+    if (level >= args.depth)
+        return "[…]";
+    stack.push(val);
+    var plain = function(v) { return toPlain(v, args, level + 1, stack); };
+    var res;
+    if (val instanceof JavaException) {
+        res = {message: val.message, throwable: plain(val.throwable)};
+    } else if (isClassDesc(val)) {
+        res = {$class: val.name, serialVersionUID: val.serialVersionUID};
+    } else if (val instanceof Map) {
+        var entries = [];
+        val.forEach(function(v, k) { entries.push([plain(k), plain(v)]); });
+        res = entries.every(function(e) { return typeof e[0] === "string"; })
+            ? entries.reduce(function(o, e) { o[e[0]] = e[1]; return o; }, {})
+            : entries;
+    } else if (val instanceof Set) {
+        res = [];
+        val.forEach(function(v) { res.push(plain(v)); });
+    } else if (Array.isArray(val)) {
+        res = val.map(plain);
+    } else {
+        res = {};
+        if (args.hidden && val.class) {
+            res.$class = className(val.class);
+            res.$extends = plain(val.extends);
+        }
+        Object.keys(val).forEach(function(key) { res[key] = plain(val[key]); });
+    }
+    stack.pop();
+    return res;
+}
+
+function json(buf, args) {
+    var res = parseAll(buf, {lenient: args.lenient});
+    var plain = res.contents.map(function(item) {
+        return toPlain(item, args, 0, []);
+    });
+    res.lines = [JSON.stringify(plain, null, 2)];
+    return res;
+}
+
+// Every record of the stream with its offset and handle, in stream order.
+function records(buf, args) {
+    var list = [];
+    var res = parseAll(buf, {
+        lenient: args.lenient,
+        onRecord: function(record) {
+            if (record.depth <= args.depth + 1)
+                list.push(record);
+        },
+    });
+    list.sort(function(a, b) { return a.offset - b.offset; });
+    res.lines = list.map(function(record) {
+        var handle = record.handle === null ? "      " : hex(record.handle, 6);
+        var desc = describe(buf, record);
+        return hex(record.offset, 8) + "  " + handle + "  " +
+            new Array(record.depth).join("  ") + "TC_" + record.type.toUpperCase() +
+            (desc ? "  " + desc : "");
+    });
+    return res;
+}
+
+function describe(buf, record) {
+    var val = record.value;
+    switch (record.type) {
+        case "ClassDesc":
+            return val.name + " " + val.serialVersionUID + " flags 0x" + hex(val.flags, 2);
+        case "ProxyClassDesc":
+            return className(val);
+        case "Object":
+            return className(val.class);
+        case "Array":
+            return className(val.class) + " length " + val.length;
+        case "Enum":
+            return className(val.class) + "." + val;
+        case "Class":
+            return className(val);
+        case "String":
+        case "LongString":
+            return truncate(JSON.stringify(val), 60);
+        case "BlockData":
+        case "BlockDataLong":
+            return val.length + " bytes";
+        case "Reference":
+            return "-> " + hex(buf.readInt32BE(record.offset + 1), 6);
+        case "Exception":
+            return val.message;
+        default:
+            return "";
+    }
+}
+
+// Parse several streams, stopping at the first one which is broken.
+// Messages get prefixed with the file name if there is more than one.
+function parseFiles(bufs, args) {
+    var res = {contents: [], error: null, records: [], diagnostics: []};
+    for (var i = 0; i < bufs.length && !res.error; ++i) {
+        var one = parseAll(bufs[i], {lenient: args.lenient});
+        var file = bufs.length > 1 ? args.files[i] : null;
+        res.contents.push(one.contents);
+        one.diagnostics.forEach(function(diag) {
+            res.diagnostics.push(Object.assign({file: file}, diag));
+        });
+        if (one.error) {
+            res.error = one.error;
+            res.records = one.records;
+            res.file = file;
+        }
+    }
+    return res;
+}
+
+// The classes found in the streams, with their fields and views, as JSON.
+function schemaFormat(bufs, args) {
+    var res = parseFiles(bufs, args);
+    res.lines = [JSON.stringify(schema.extractSchema(res.contents), null, 2)];
+    return res;
+}
+schemaFormat.multipleFiles = true;
+
+// TypeScript declarations for the objects of these classes.
+function typescript(bufs, args) {
+    var res = parseFiles(bufs, args);
+    res.lines = [schema.toTypeScript(schema.extractSchema(res.contents)).replace(/\n$/, "")];
+    return res;
+}
+typescript.multipleFiles = true;
+
+var formats = {
+    tree: tree,
+    json: json,
+    records: records,
+    schema: schemaFormat,
+    typescript: typescript,
+};
+
+function main(argv) {
+    var args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        process.stderr.write(err.message + "\n" + usage + "\n");
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(usage + "\n");
+        return 0;
+    }
+    var bufs;
+    try {
+        bufs = args.files.map(function(file) {
+            return fs.readFileSync(file === "-" ? 0 : file);
+        });
+    } catch (err) {
+        process.stderr.write(err.message + "\n");
+        return 2;
+    }
+    var format = formats[args.format];
+    var res = format.multipleFiles ? format(bufs, args) : format(bufs[0], args);
+    process.stdout.write(res.lines.join("\n") + "\n");
+    res.diagnostics.forEach(function(diag) {
+        var where = diag.type ? " in TC_" + diag.type.toUpperCase() + " at offset " + hex(diag.offset, 8) : "";
+        process.stderr.write((diag.file ? diag.file + ": " : "") + "Warning" + where + ": " + diag.message + "\n");
+    });
+    if (res.error) {
+        var record = res.records[res.records.length - 1];
+        var where = record ? " in TC_" + record.type.toUpperCase() + " at offset " + hex(record.offset, 8) : "";
+        process.stderr.write((res.file ? res.file + ": " : "") + "Error" + where + ": " + res.error.message + "\n");
+        return 1;
+    }
+    return res.diagnostics.length ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
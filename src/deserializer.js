@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var Parser = require("./parser.js");
+var Serializer = require("./serializer.js");
+var ParserStream = require("./stream.js");
+var registry = require("./registry.js");
+require("./util.js");
+require("./time.js");
+
+// Each deserializer has handlers of its own, stored on prototypes derived
+// from those of Parser and Serializer, so it starts out with the built-in
+// handlers and can override them without affecting any other deserializer.
+// Its other options serve as defaults for parse and createParseStream.
+function createDeserializer(options) {
+    var defaults = {};
+    Object.keys(options || {}).forEach(function(key) {
+        if (key !== "handlers")
+            defaults[key] = options[key];
+    });
+    var parserProto = Object.create(Parser.prototype);
+    var serializerProto = Object.create(Serializer.prototype);
+    var withDefaults = function(options) {
+        return Object.assign({}, defaults, options);
+    };
+    var deserializer = {
+        parse: function parse(buf, options) {
+            var parser = Object.create(parserProto);
+            Parser.call(parser, buf, withDefaults(options));
+            return parser.contents;
+        },
+        createParseStream: function createParseStream(options) {
+            return new ParserStream(withDefaults(options), parserProto);
+        },
+        serialize: function serialize(objects) {
+            var serializer = Object.create(serializerProto);
+            Serializer.call(serializer, objects);
+            return serializer.buf;
+        },
+        registerClassDataParser: function(className, serialVersionUID, parser) {
+            registry.register(parserProto, "classdata", className, serialVersionUID, parser);
+        },
+        registerPostProcessor: function(className, serialVersionUID, postproc) {
+            registry.register(parserProto, "postproc", className, serialVersionUID, postproc);
+        },
+        registerExternalReader: function(className, serialVersionUID, reader) {
+            registry.register(parserProto, "external", className, serialVersionUID, reader);
+        },
+        registerClassDataWriter: function(className, serialVersionUID, writer) {
+            registry.register(serializerProto, "classdata", className, serialVersionUID, writer);
+        },
+        registerModel: function(className, serialVersionUID, model) {
+            registry.register(parserProto, "model", className, serialVersionUID, model);
+        },
+        registerFactory: function(className, serialVersionUID, factory) {
+            registry.register(parserProto, "factory", className, serialVersionUID, factory);
+        },
+    };
+    ((options && options.handlers) || []).forEach(function(handlers) {
+        var name = handlers.className;
+        var uid = handlers.serialVersionUID;
+        if (handlers.classDataParser)
+            deserializer.registerClassDataParser(name, uid, handlers.classDataParser);
+        if (handlers.postProcessor)
+            deserializer.registerPostProcessor(name, uid, handlers.postProcessor);
+        if (handlers.externalReader)
+            deserializer.registerExternalReader(name, uid, handlers.externalReader);
+        if (handlers.classDataWriter)
+            deserializer.registerClassDataWriter(name, uid, handlers.classDataWriter);
+        if (handlers.model)
+            deserializer.registerModel(name, uid, handlers.model);
+        if (handlers.factory)
+            deserializer.registerFactory(name, uid, handlers.factory);
+    });
+    return deserializer;
+}
+
+module.exports = createDeserializer;
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var util = require("util");
+
+// Any error detected while parsing a stream, with a code naming the kind
+// of problem. The parser adds the offset in the stream, the records being
+// parsed and the path of the value being parsed, see addContext.
+// Like the message, these properties are not enumerable, so the enumerable
+// ones are those of earlier versions, i.e. buf and pos for a premature end.
+function JavaDeserializationError(code, message, cause) {
+    hide(this, "message", message);
+    Error.captureStackTrace(this, JavaDeserializationError);
+    hide(this, "code", code);
+    if (cause !== undefined)
+        hide(this, "cause", cause);
+}
+
+function hide(err, name, value) {
+    Object.defineProperty(err, name, {
+        configurable: true,
+        writable: true,
+        value: value,
+    });
+}
+
+util.inherits(JavaDeserializationError, Error);
+
+JavaDeserializationError.prototype.name = "JavaDeserializationError";
+
+module.exports = JavaDeserializationError;
+module.exports.hide = hide;
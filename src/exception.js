@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var util = require("util");
+
+// Represents a java.lang.Throwable which was written to the stream
+// because the writer failed (TC_EXCEPTION), or which has been reached
+// as the cause or suppressed exception of such a Throwable.
+function JavaException(throwable, seen) {
+    seen = seen || new Map();
+    seen.set(throwable, this);
+    var message = typeof throwable.detailMessage === "string" ? throwable.detailMessage : null;
+    this.className = throwable.class.name;
+    this.detailMessage = message;
+    this.message = message === null ? this.className : this.className + ": " + message;
+    this.throwable = throwable;
+    this.stackTrace = (throwable.stackTrace || []).map(stackTraceElement);
+    this.stack = [this.message].concat(this.stackTrace.map(function(elt) {
+        return "    at " + formatStackTraceElement(elt);
+    })).join("\n");
+    // A Throwable which is its own cause is one with the cause not yet set.
+    this.cause = related(throwable.cause, throwable, seen);
+    var suppressed = throwable.suppressedExceptions;
+    this.suppressed = suppressed && Array.isArray(suppressed.list)
+        ? suppressed.list.map(function(s) { return related(s, throwable, seen); })
+        : [];
+}
+
+util.inherits(JavaException, Error);
+
+JavaException.prototype.name = "JavaException";
+
+function related(other, throwable, seen) {
+    if (!other || other === throwable)
+        return null;
+    return seen.get(other) || new JavaException(other, seen);
+}
+
+function stackTraceElement(elt) {
+    return {
+        declaringClass: elt.declaringClass,
+        methodName: elt.methodName,
+        fileName: elt.fileName,
+        lineNumber: elt.lineNumber,
+    };
+}
+
+function formatStackTraceElement(elt) {
+    var location =
+        elt.lineNumber === -2 ? "Native Method" :
+        elt.fileName === null ? "Unknown Source" :
+        elt.lineNumber >= 0 ? elt.fileName + ":" + elt.lineNumber :
+        elt.fileName;
+    return elt.declaringClass + "." + elt.methodName + "(" + location + ")";
+}
+
+module.exports = JavaException;
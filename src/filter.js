@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+// Class filters in the spirit of java.io.ObjectInputFilter.
+// A filter is a function which gets called with information about
+// every class description and array in the stream, and returns
+// true to allow it, false to reject it or undefined if undecided.
+// Only a rejection has any effect.
+//
+// Patterns in the syntax of the jdk.serialFilter system property
+// can be turned into such a function using createFilter, see
+// https://docs.oracle.com/en/java/javase/17/docs/api/java.base/java/io/ObjectInputFilter.Config.html#createFilter(java.lang.String)
+
+"use strict";
+
+var limitNames = {
+    maxarray: "arrayLength",
+    maxbytes: "streamBytes",
+    maxdepth: "depth",
+    maxrefs: "references",
+};
+
+function classMatcher(pattern) {
+    if (pattern === "*")
+        return function() { return true; };
+    if (pattern.slice(-3) === ".**") {
+        var prefix = pattern.slice(0, -2);
+        return function(name) { return name.startsWith(prefix); };
+    }
+    if (pattern.slice(-2) === ".*") {
+        var pkg = pattern.slice(0, -1);
+        return function(name) {
+            return name.startsWith(pkg) && name.indexOf(".", pkg.length) === -1;
+        };
+    }
+    if (pattern.slice(-1) === "*") {
+        var start = pattern.slice(0, -1);
+        return function(name) { return name.startsWith(start); };
+    }
+    return function(name) { return name === pattern; };
+}
+
+function createFilter(patterns) {
+    var limits = {};
+    var matchers = [];
+    patterns.split(";").forEach(function(pattern) {
+        if (pattern === "")
+            return;
+        var eq = pattern.indexOf("=");
+        if (eq !== -1) {
+            var name = pattern.slice(0, eq);
+            var value = pattern.slice(eq + 1);
+            if (!limitNames.hasOwnProperty(name))
+                throw Error("Unknown filter limit: " + pattern);
+            if (!/^[0-9]+$/.test(value))
+                throw Error("Invalid filter limit: " + pattern);
+            limits[limitNames[name]] = Number(value);
+            return;
+        }
+        var allow = pattern.charAt(0) !== "!";
+        if (!allow)
+            pattern = pattern.slice(1);
+        if (pattern.indexOf("/") !== -1)
+            throw Error("Module names are not supported in filter patterns: " + pattern);
+        if (pattern === "")
+            throw Error("Class or package missing in filter pattern");
+        var matches = classMatcher(pattern);
+        matchers.push(function(name) {
+            return matches(name) ? allow : undefined;
+        });
+    });
+    return function(info) {
+        for (var key in limits) {
+            if (info[key] > limits[key])
+                return false;
+        }
+        // Arrays are judged by their element type, primitive ones not at all.
+        var name = info.className;
+        if (name.charAt(0) === "[") {
+            name = name.replace(/^\[+/, "");
+            if (name.charAt(0) !== "L")
+                return undefined;
+            name = name.slice(1, -1);
+        }
+        for (var i = 0; i < matchers.length; ++i) {
+            var res = matchers[i](name);
+            if (res !== undefined)
+                return res;
+        }
+        return undefined;
+    };
+}
+
+module.exports.createFilter = createFilter;
@@ -0,0 +1,436 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+
+// Type definitions for the functions and values exported by index.js.
+
+/// <reference types="node" />
+
+import Long = require("long");
+import { Transform } from "stream";
+
+/** A value of type long, as selected by the longs option. */
+export type LongValue = Long | bigint | number;
+
+/** The type code of a field: a primitive type, L for objects or [ for arrays. */
+export type FieldType = "B" | "C" | "D" | "F" | "I" | "J" | "S" | "Z" | "L" | "[";
+
+/** A field of a serializable class, as described in the stream. */
+export interface JavaField {
+    type: FieldType;
+    name: string;
+    /** The type signature like Ljava/lang/String; of object and array fields. */
+    className?: string;
+}
+
+/** The description of a class, from TC_CLASSDESC. */
+export interface JavaClass {
+    /** The name, or a signature like [I for array classes. */
+    name: string;
+    /** The serialVersionUID as 16 hex digits. */
+    serialVersionUID: string;
+    /** The SC_* flags of java.io.ObjectStreamConstants. */
+    flags: number;
+    isEnum: boolean;
+    fields: JavaField[];
+    /** Written by annotateClass of the ObjectOutputStream. */
+    annotations: unknown[];
+    super: JavaClass | null;
+    isProxy?: false;
+}
+
+/** The description of a dynamic proxy class, from TC_PROXYCLASSDESC. */
+export interface JavaProxyClass {
+    name: null;
+    serialVersionUID: "0000000000000000";
+    flags: number;
+    isEnum: false;
+    fields: JavaField[];
+    annotations: unknown[];
+    /** The class java.lang.reflect.Proxy. */
+    super: JavaClass | null;
+    isProxy: true;
+    /** The names of the implemented interfaces. */
+    interfaces: string[];
+}
+
+/** The field values of one class, with any views added by its post-processor. */
+export interface FieldValues {
+    /** The custom data written by writeObject or writeExternal, if any. */
+    "@"?: unknown[];
+    [name: string]: unknown;
+}
+
+/** An object, with the values of the fields of all its classes. */
+export interface JavaObject {
+    /** The class of the object, with its super classes. */
+    readonly class: JavaClass | JavaProxyClass;
+    /** The field values of each class in the hierarchy, by class name. */
+    readonly extends: { [className: string]: FieldValues };
+    "@"?: unknown[];
+    [name: string]: unknown;
+}
+
+/** An array, which is a typed array for primitives with the typedArrays option. */
+export interface JavaArray<T = unknown> extends Array<T> {
+    readonly class: JavaClass;
+    readonly extends: {};
+}
+
+/** An enum constant, i.e. a String object with the name of the constant. */
+export interface JavaEnum<T extends string = string> extends String {
+    readonly class: JavaClass;
+    readonly extends: {};
+    valueOf(): T;
+    toString(): T;
+}
+
+/** A List, Queue or Collection as extracted by the built-in post-processors. */
+export interface JavaList<T = unknown> extends JavaObject {
+    list: T[];
+}
+
+/** A Set as extracted by the built-in post-processors. */
+export interface JavaSet<T = unknown> extends JavaObject {
+    set: Set<T>;
+}
+
+/** A Map as extracted by the built-in post-processors. */
+export interface JavaMap<K = unknown, V = unknown> extends JavaObject {
+    map: Map<K, V>;
+    /** The entries with String keys, or enum constants for an EnumMap. */
+    obj: { [key: string]: V };
+}
+
+/** The type of a record of the stream, e.g. Object for TC_OBJECT. */
+export type RecordType =
+    "Null" | "Reference" | "ClassDesc" | "Object" | "String" | "Array" | "Class" |
+    "BlockData" | "EndBlockData" | "Reset" | "BlockDataLong" | "Exception" |
+    "LongString" | "ProxyClassDesc" | "Enum";
+
+/** A problem which lenient parsing recovered from. */
+export interface Diagnostic {
+    /** The innermost record being parsed, if any. */
+    type: RecordType | null;
+    offset: number;
+    /** Where the problem was found. */
+    position: number;
+    code: ErrorCode;
+    path: string;
+    message: string;
+}
+
+/** The list of top level objects returned by parse. */
+export interface ParseResult extends Array<unknown> {
+    /** For each reset, the index of the first object after it. */
+    readonly resets: number[];
+    /** Only with the lenient option. */
+    readonly diagnostics?: Diagnostic[];
+}
+
+/** A record reported to the onRecord option. */
+export interface RecordInfo {
+    type: RecordType;
+    offset: number;
+    end: number;
+    depth: number;
+    handle: number | null;
+    value: unknown;
+}
+
+/** What a filter function gets called with. */
+export interface FilterInfo {
+    className: string;
+    serialVersionUID: string | null;
+    /** -1 if not an array. */
+    arrayLength: number;
+    /** Nesting of objects, arrays, enum constants and classes. */
+    depth: number;
+    references: number;
+    streamBytes: number;
+}
+
+/** Returns false to reject a class or array. */
+export type FilterFunction = (info: FilterInfo) => boolean | undefined;
+
+export interface ParseOptions {
+    strictUtf?: boolean;
+    longs?: "long" | "bigint" | "number";
+    typedArrays?: boolean;
+    naturalValues?: boolean;
+    maxArrayLength?: number;
+    maxDepth?: number;
+    maxHandles?: number;
+    maxObjects?: number;
+    maxStringBytes?: number;
+    /** A pattern in the syntax of jdk.serialFilter, or a function. */
+    filter?: string | FilterFunction;
+    /** Ignored by createParseStream. */
+    lenient?: boolean;
+    /** Ignored by createParseStream. */
+    guessExternal?: boolean;
+    onRecord?: (record: RecordInfo) => void;
+}
+
+export type ErrorCode =
+    "UNEXPECTED_END" | "BAD_MAGIC" | "BAD_VERSION" | "UNKNOWN_TYPE_CODE" |
+    "UNEXPECTED_RECORD" | "STRING_TOO_LONG" | "CYCLIC_CLASS" | "UNSUPPORTED_FLAGS" |
+    "NEGATIVE_ARRAY_LENGTH" | "UNKNOWN_FIELD_TYPE" | "MALFORMED_UTF" |
+    "UNKNOWN_HANDLE" | "INVALID_CUSTOM_DATA" | "CALLBACK_FAILED" |
+    "MAX_ARRAY_LENGTH" | "MAX_DEPTH" | "MAX_HANDLES" | "MAX_OBJECTS" |
+    "MAX_STRING_BYTES" | "FILTER_REJECTED";
+
+/** Any problem with the stream, with the context added by the parser. */
+export class JavaDeserializationError extends Error {
+    constructor(code: ErrorCode, message: string, cause?: unknown);
+    code: ErrorCode;
+    /** The error thrown by a callback, for CALLBACK_FAILED. */
+    cause?: unknown;
+    offset?: number;
+    /** Where the value being read would end, for UNEXPECTED_END. */
+    end?: number;
+    /** The input, for UNEXPECTED_END. */
+    buf?: Buffer;
+    /** The same as end, for UNEXPECTED_END. */
+    pos?: number;
+    records?: { type: RecordType; offset: number }[];
+    /** Like root.items[3].owner.name */
+    path?: string;
+    /** The bytes around the offset in hex, with a | at the offset. */
+    excerpt?: string;
+}
+
+export interface StackTraceElement {
+    declaringClass: string;
+    methodName: string;
+    fileName: string | null;
+    lineNumber: number;
+}
+
+/** A Throwable written because the writer failed (TC_EXCEPTION). */
+export class JavaException extends Error {
+    constructor(throwable: JavaObject);
+    className: string;
+    detailMessage: string | null;
+    throwable: JavaObject;
+    stackTrace: StackTraceElement[];
+    cause: JavaException | null;
+    suppressed: JavaException[];
+}
+
+/** Stands in for a record which couldn't be parsed in lenient mode. */
+export class Placeholder {
+    constructor(type: RecordType | null, offset: number, message: string);
+    type: RecordType | null;
+    offset: number;
+    message: string;
+}
+
+/** What handlers get as this while parsing. */
+export interface Parser {
+    buf: Buffer;
+    pos: number;
+    options: ParseOptions;
+    /** Read a record, optionally restricted to some types. */
+    content(allowed?: RecordType[]): unknown;
+    readBytes(length: number): Buffer;
+    readUInt8(): number;
+    readInt8(): number;
+    readUInt16(): number;
+    readInt16(): number;
+    readUInt32(): number;
+    readInt32(): number;
+    /** Read length bytes as hex digits. */
+    readHex(length: number): string;
+    /** Read a string in modified UTF-8 with a 16 bit length. */
+    utf(): string;
+    /** Read a string in modified UTF-8 with a 64 bit length. */
+    utfLong(): string;
+    /** Read the values of the fields of a class. */
+    values(cls: JavaClass): FieldValues;
+    convertLong(value: Long): LongValue;
+}
+
+/** Reads the custom data of a class the way ObjectInputStream does. */
+export interface ObjectInput {
+    /** Returns the fields, since these have been read already. */
+    defaultReadObject(): FieldValues;
+    readObject(): unknown;
+    /** The number of bytes before the next object. */
+    available(): number;
+    readFully(length: number): Buffer;
+    skipBytes(length: number): number;
+    readBoolean(): boolean;
+    readByte(): number;
+    readUnsignedByte(): number;
+    readShort(): number;
+    readUnsignedShort(): number;
+    readChar(): string;
+    readInt(): number;
+    readLong(): LongValue;
+    readFloat(): number;
+    readDouble(): number;
+    readUTF(): string;
+}
+
+/** What class data writers get as this while serializing. */
+export interface Serializer {
+    content(value: unknown): void;
+    values(cls: JavaClass, fields: FieldValues): void;
+    writeUInt8(value: number): void;
+    writeInt8(value: number): void;
+    writeUInt16(value: number): void;
+    writeInt16(value: number): void;
+    writeUInt32(value: number): void;
+    writeInt32(value: number): void;
+    primB(value: number): void;
+    primC(value: string): void;
+    primD(value: number): void;
+    primF(value: number): void;
+    primI(value: number): void;
+    primJ(value: LongValue): void;
+    primS(value: number): void;
+    primZ(value: boolean): void;
+    primL(value: unknown): void;
+}
+
+/** A class name, a RegExp matching class names, or a predicate. */
+export type ClassSelector = string | RegExp | ((cls: JavaClass) => boolean);
+
+/** One serialVersionUID as 16 hex digits, a list of them, or null for all. */
+export type SerialVersionUIDs = string | readonly string[] | null;
+
+export type ClassDataParser = (this: Parser, cls: JavaClass) => FieldValues;
+
+export type PostProcessor = (
+    this: Parser,
+    cls: JavaClass,
+    fields: FieldValues,
+    data: unknown[],
+    obj: JavaObject,
+    input: ObjectInput,
+) => FieldValues;
+
+export type ExternalReader = (this: Parser, cls: JavaClass) => unknown[];
+
+export type ClassDataWriter = (this: Serializer, cls: JavaClass, fields: FieldValues) => void;
+
+/** A class whose prototype parsed objects get, without calling it. */
+export type Model = abstract new (...args: any[]) => object;
+
+export type Factory = (
+    this: Parser,
+    fields: { [className: string]: FieldValues },
+    obj: JavaObject,
+) => unknown;
+
+export interface Handlers {
+    className: ClassSelector;
+    /** Defaults to null, i.e. all serialVersionUIDs. */
+    serialVersionUID?: SerialVersionUIDs;
+    classDataParser?: ClassDataParser;
+    postProcessor?: PostProcessor;
+    externalReader?: ExternalReader;
+    classDataWriter?: ClassDataWriter;
+    model?: Model;
+    factory?: Factory;
+}
+
+export interface DeserializerOptions extends ParseOptions {
+    handlers?: Handlers[];
+}
+
+/** A list of objects to serialize, in the form parse returns. */
+export type SerializeInput = readonly unknown[] & { resets?: readonly number[] };
+
+export interface Deserializer {
+    parse(buf: Buffer, options?: ParseOptions): ParseResult;
+    /** A transform stream emitting each top level object, and reset events. */
+    createParseStream(options?: ParseOptions): Transform;
+    serialize(objects: SerializeInput): Buffer;
+    registerClassDataParser(className: ClassSelector, serialVersionUID: SerialVersionUIDs, parser: ClassDataParser): void;
+    registerPostProcessor(className: ClassSelector, serialVersionUID: SerialVersionUIDs, postproc: PostProcessor): void;
+    registerExternalReader(className: ClassSelector, serialVersionUID: SerialVersionUIDs, reader: ExternalReader): void;
+    registerClassDataWriter(className: ClassSelector, serialVersionUID: SerialVersionUIDs, writer: ClassDataWriter): void;
+    registerModel(className: ClassSelector, serialVersionUID: SerialVersionUIDs, model: Model): void;
+    registerFactory(className: ClassSelector, serialVersionUID: SerialVersionUIDs, factory: Factory): void;
+}
+
+export function createDeserializer(options?: DeserializerOptions): Deserializer;
+
+/** Emitted by parse streams in place of top level null objects. */
+export const NULL: unique symbol;
+
+export const parse: Deserializer["parse"];
+export const createParseStream: Deserializer["createParseStream"];
+export const serialize: Deserializer["serialize"];
+export const registerClassDataParser: Deserializer["registerClassDataParser"];
+export const registerPostProcessor: Deserializer["registerPostProcessor"];
+export const registerExternalReader: Deserializer["registerExternalReader"];
+export const registerClassDataWriter: Deserializer["registerClassDataWriter"];
+export const registerModel: Deserializer["registerModel"];
+export const registerFactory: Deserializer["registerFactory"];
+
+export function createFilter(pattern: string): FilterFunction;
+
+/** The JSON form of a parsed stream. */
+export interface JSONForm {
+    contents: unknown[];
+    resets: number[];
+}
+
+export function toJSON(contents: SerializeInput): JSONForm;
+export function fromJSON(json: string | JSONForm): ParseResult;
+
+export interface SchemaField {
+    name: string;
+    /** As written in Java, e.g. int or java.lang.String[]. */
+    type: string;
+    optional?: true;
+    /** The classes of the values seen. */
+    classes?: string[];
+}
+
+export interface SchemaView {
+    name: string;
+    /** The types of the values without a Java class, e.g. Array or Map. */
+    types: string[];
+    classes?: string[];
+    optional?: true;
+}
+
+export interface SchemaClass {
+    serialVersionUIDs: string[];
+    super: string | null;
+    isEnum: boolean;
+    constants?: string[];
+    fields: SchemaField[];
+    views: SchemaView[];
+}
+
+export interface Schema {
+    classes: { [className: string]: SchemaClass };
+}
+
+export function extractSchema(values: unknown): Schema;
+export function toTypeScript(schema: Schema, options?: Pick<ParseOptions, "longs" | "typedArrays">): string;
@@ -22,13 +22,35 @@
 
 "use strict";
 
-var Parser = require("./parser.js");
-require("./util.js");
+var JavaException = require("./exception.js");
+var JavaDeserializationError = require("./error.js");
+var Placeholder = require("./placeholder.js");
+var createDeserializer = require("./deserializer.js");
+var createFilter = require("./filter.js").createFilter;
+var ParserStream = require("./stream.js");
+var json = require("./json.js");
+var schema = require("./schema.js");
 
-module.exports.parse = function parse(buf) {
-    var parser = new Parser(buf);
-    return parser.contents;
-}
+// The functions of the module itself share the handlers of one deserializer,
+// so handlers registered through them don't affect other deserializers.
+var deserializer = createDeserializer();
 
-module.exports.registerClassDataParser = Parser.registerClassDataParser;
-module.exports.registerPostProcessor = Parser.registerPostProcessor;
+module.exports.parse = deserializer.parse;
+module.exports.createParseStream = deserializer.createParseStream;
+module.exports.NULL = ParserStream.NULL;
+module.exports.serialize = deserializer.serialize;
+module.exports.toJSON = json.toJSON;
+module.exports.fromJSON = json.fromJSON;
+module.exports.extractSchema = schema.extractSchema;
+module.exports.toTypeScript = schema.toTypeScript;
+module.exports.registerClassDataParser = deserializer.registerClassDataParser;
+module.exports.registerPostProcessor = deserializer.registerPostProcessor;
+module.exports.registerExternalReader = deserializer.registerExternalReader;
+module.exports.registerClassDataWriter = deserializer.registerClassDataWriter;
+module.exports.registerModel = deserializer.registerModel;
+module.exports.registerFactory = deserializer.registerFactory;
+module.exports.createDeserializer = createDeserializer;
+module.exports.createFilter = createFilter;
+module.exports.JavaException = JavaException;
+module.exports.JavaDeserializationError = JavaDeserializationError;
+module.exports.Placeholder = Placeholder;
@@ -0,0 +1,260 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+// Lossless conversion between parsed object graphs and plain JSON values.
+// Values which JSON can't represent directly are encoded as objects
+// with a "$type" property. Objects which occur more than once get an
+// "$id" where they first occur, and are replaced by {"$ref": id} later on.
+// Plain objects and arrays only get tagged if they are shared,
+// or if they have keys which could be mistaken for such tags.
+
+"use strict";
+
+var Long = require("long");
+var typed = require("./typed.js");
+var JavaException = require("./exception.js");
+
+function isObject(val) {
+    return typeof val === "object" && val !== null;
+}
+
+// Lists the values referenced by an object, in encoding order.
+function children(val) {
+    var res = [];
+    if (val instanceof JavaException) {
+        res.push(val.throwable);
+    } else if (val instanceof Map) {
+        val.forEach(function(v, k) { res.push(k, v); });
+    } else if (val instanceof Set) {
+        val.forEach(function(v) { res.push(v); });
+    } else if (!(val instanceof String || Long.isLong(val) || Buffer.isBuffer(val) || val instanceof Date)) {
+        if (val.class !== undefined)
+            res.push(val.class);
+        if (val.class !== undefined && !Array.isArray(val) && !ArrayBuffer.isView(val))
+            res.push(val.extends);
+        Object.keys(val).forEach(function(key) { res.push(val[key]); });
+    }
+    if (val instanceof String)
+        res.push(val.class);
+    return res;
+}
+
+function Encoder(contents) {
+    // First count how often each object occurs, to know which need ids.
+    this.counts = new Map();
+    this.ids = new Map();
+    this.count(contents);
+}
+
+Encoder.prototype.count = function(val) {
+    if (!isObject(val))
+        return;
+    var n = (this.counts.get(val) || 0) + 1;
+    this.counts.set(val, n);
+    if (n === 1)
+        children(val).forEach(this.count, this);
+}
+
+Encoder.prototype.encode = function(val) {
+    if (typeof val === "number") {
+        if (isFinite(val) && !Object.is(val, -0))
+            return val;
+        return {$type: "number", value: Object.is(val, -0) ? "-0" : String(val)};
+    }
+    if (typeof val === "bigint")
+        return {$type: "bigint", value: val.toString()};
+    if (!isObject(val))
+        return val;
+    if (this.ids.has(val))
+        return {$ref: this.ids.get(val)};
+    var res = {};
+    if (this.counts.get(val) > 1) {
+        res.$id = this.ids.size;
+        this.ids.set(val, res.$id);
+    }
+    var encode = this.encode.bind(this);
+    if (Long.isLong(val)) {
+        res.$type = "long";
+        res.value = val.toString();
+    } else if (Buffer.isBuffer(val)) {
+        res.$type = "bytes";
+        res.value = val.toString("base64");
+    } else if (val instanceof Date) {
+        // The time value, as an ISO string can't represent invalid dates.
+        res.$type = "date";
+        res.value = encode(val.getTime());
+    } else if (val instanceof JavaException) {
+        res.$type = "exception";
+        res.throwable = encode(val.throwable);
+    } else if (val instanceof String) {
+        res.$type = "enum";
+        res.class = encode(val.class);
+        res.value = val.valueOf();
+    } else if (val instanceof Map) {
+        res.$type = "map";
+        res.entries = [];
+        val.forEach(function(v, k) { res.entries.push([encode(k), encode(v)]); });
+    } else if (val instanceof Set) {
+        res.$type = "set";
+        res.values = [];
+        val.forEach(function(v) { res.values.push(encode(v)); });
+    } else if (Array.isArray(val)) {
+        if (res.$id === undefined && val.class === undefined)
+            return val.map(encode);
+        res.$type = "array";
+        if (val.class !== undefined)
+            res.class = encode(val.class);
+        res.items = val.map(encode);
+    } else if (ArrayBuffer.isView(val)) {
+        res.$type = "array";
+        res.class = encode(val.class);
+        res.typed = true;
+        res.items = Array.prototype.map.call(val, encode);
+    } else {
+        var keys = Object.keys(val);
+        var tagged = res.$id !== undefined || val.class !== undefined ||
+            keys.some(function(key) { return key.charAt(0) === "$"; });
+        var props = tagged ? {} : res;
+        if (tagged) {
+            res.$type = "object";
+            if (val.class !== undefined) {
+                res.class = encode(val.class);
+                res.extends = encode(val.extends);
+            }
+            res.props = props;
+        }
+        keys.forEach(function(key) { props[key] = encode(val[key]); });
+    }
+    return res;
+}
+
+// Convert the result of parse to a value which JSON.stringify can handle.
+function toJSON(contents) {
+    var encoder = new Encoder(contents);
+    return {
+        contents: encoder.encode(contents.slice()),
+        resets: (contents.resets || []).slice(),
+    };
+}
+
+function Decoder() {
+    this.ids = [];
+}
+
+// Remember an object before decoding its children, which may refer to it.
+Decoder.prototype.define = function(json, val) {
+    if (json.$id !== undefined)
+        this.ids[json.$id] = val;
+    return val;
+}
+
+function hidden(obj, cls, ext) {
+    return Object.defineProperties(obj, {
+        "class": {
+            configurable: true,
+            value: cls,
+        },
+        "extends": {
+            configurable: true,
+            value: ext,
+        },
+    });
+}
+
+Decoder.prototype.decode = function(json) {
+    if (!isObject(json))
+        return json;
+    var decode = this.decode.bind(this);
+    if (Array.isArray(json))
+        return json.map(decode);
+    if (json.$ref !== undefined) {
+        if (!(json.$ref in this.ids))
+            throw Error("Unknown reference " + json.$ref);
+        return this.ids[json.$ref];
+    }
+    var res;
+    switch (json.$type) {
+        case undefined:
+            res = {};
+            Object.keys(json).forEach(function(key) { res[key] = decode(json[key]); });
+            return res;
+        case "number":
+            return this.define(json, Number(json.value));
+        case "long":
+            return this.define(json, Long.fromString(json.value));
+        case "bigint":
+            return BigInt(json.value);
+        case "bytes":
+            return this.define(json, Buffer.from(json.value, "base64"));
+        case "date":
+            return this.define(json, new Date(decode(json.value)));
+        case "exception":
+            return this.define(json, new JavaException(decode(json.throwable)));
+        case "enum":
+            // noinspection JSPrimitiveTypeWrapperUsage
+            res = this.define(json, new String(json.value));
+            return hidden(res, decode(json.class), {});
+        case "map":
+            res = this.define(json, new Map());
+            json.entries.forEach(function(entry) { res.set(decode(entry[0]), decode(entry[1])); });
+            return res;
+        case "set":
+            res = this.define(json, new Set());
+            json.values.forEach(function(v) { res.add(decode(v)); });
+            return res;
+        case "array":
+            if (json.typed) {
+                var cls = decode(json.class);
+                var TypedArray = typed.arrayType(cls.name);
+                res = this.define(json, new TypedArray(json.items.map(decode)));
+                return hidden(res, cls, {});
+            }
+            res = this.define(json, []);
+            if (json.class !== undefined)
+                hidden(res, decode(json.class), {});
+            json.items.forEach(function(item) { res.push(decode(item)); });
+            return res;
+        case "object":
+            res = this.define(json, {});
+            if (json.class !== undefined)
+                hidden(res, decode(json.class), decode(json.extends));
+            Object.keys(json.props).forEach(function(key) { res[key] = decode(json.props[key]); });
+            return res;
+        default:
+            throw Error("Don't know how to decode $type " + json.$type);
+    }
+}
+
+// Rebuild the result of parse from the output of toJSON, or its string form.
+function fromJSON(json) {
+    if (typeof json === "string")
+        json = JSON.parse(json);
+    var contents = new Decoder().decode(json.contents);
+    return Object.defineProperty(contents, "resets", {
+        configurable: true,
+        value: (json.resets || []).slice(),
+    });
+}
+
+module.exports.toJSON = toJSON;
+module.exports.fromJSON = fromJSON;
@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+// Java writes strings and names in "modified UTF-8", as described in
+// https://docs.oracle.com/javase/7/docs/api/java/io/DataInput.html#modified-utf-8
+// It differs from standard UTF-8 in that NUL is written as 0xc0 0x80,
+// and characters outside the BMP are written as two separately encoded
+// surrogates, i.e. six bytes in total, the way CESU-8 does.
+
+"use strict";
+
+function decode(buf, start, end, strict) {
+    var i;
+    for (i = start; i < end; ++i) {
+        if (buf[i] & 0x80)
+            break;
+    }
+    if (i === end) // Fast path for plain ASCII
+        return buf.toString("ascii", start, end);
+    var units = [];
+    var res = "";
+    var len = 0;
+    for (i = start; i < end; ++i) {
+        var b = buf[i];
+        var c;
+        if (b < 0x80) {
+            c = b;
+        } else if ((b & 0xe0) === 0xc0 && i + 1 < end && (buf[i + 1] & 0xc0) === 0x80) {
+            c = ((b & 0x1f) << 6) | (buf[i + 1] & 0x3f);
+            i += 1;
+        } else if ((b & 0xf0) === 0xe0 && i + 2 < end &&
+                   (buf[i + 1] & 0xc0) === 0x80 && (buf[i + 2] & 0xc0) === 0x80) {
+            c = ((b & 0x0f) << 12) | ((buf[i + 1] & 0x3f) << 6) | (buf[i + 2] & 0x3f);
+            i += 2;
+        } else if (strict) {
+            throw Error("Malformed modified UTF-8 at byte " + (i - start) + " of string");
+        } else {
+            c = 0xfffd;
+        }
+        units[len++] = c;
+    }
+    // Avoid exceeding the maximum number of arguments for large strings.
+    for (i = 0; i < len; i += 0x2000)
+        res += String.fromCharCode.apply(null, units.slice(i, Math.min(i + 0x2000, len)));
+    return res;
+}
+
+function encode(str) {
+    var len = 0;
+    var i, c;
+    for (i = 0; i < str.length; ++i) {
+        c = str.charCodeAt(i);
+        len += (c !== 0 && c < 0x80) ? 1 : c < 0x800 ? 2 : 3;
+    }
+    var buf = Buffer.alloc(len);
+    var pos = 0;
+    for (i = 0; i < str.length; ++i) {
+        c = str.charCodeAt(i);
+        if (c !== 0 && c < 0x80) {
+            buf[pos++] = c;
+        } else if (c < 0x800) {
+            buf[pos++] = 0xc0 | (c >> 6);
+            buf[pos++] = 0x80 | (c & 0x3f);
+        } else {
+            buf[pos++] = 0xe0 | (c >> 12);
+            buf[pos++] = 0x80 | ((c >> 6) & 0x3f);
+            buf[pos++] = 0x80 | (c & 0x3f);
+        }
+    }
+    return buf;
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var Long = require("long");
+var JavaException = require("./exception.js");
+var isClassDesc = require("./schema.js").isClassDesc;
+
+// Natural values for objects of these classes, computed from their fields.
+var converters = {
+    "java.lang.Boolean": boxedValue,
+    "java.lang.Byte": boxedValue,
+    "java.lang.Character": boxedValue,
+    "java.lang.Double": boxedValue,
+    "java.lang.Float": boxedValue,
+    "java.lang.Integer": boxedValue,
+    "java.lang.Short": boxedValue,
+    "java.lang.Long": longValue,
+    "java.math.BigInteger": bigIntegerValue,
+    "java.math.BigDecimal": bigDecimalValue,
+    "java.util.Date": dateValue,
+    "java.sql.Timestamp": dateValue,
+    "java.util.GregorianCalendar": dateValue,
+};
+
+function boxedValue(fields) {
+    return fields.value;
+}
+
+// The date view is set by a post-processor, possibly of a super class.
+function dateValue(fields, obj) {
+    return obj.date;
+}
+
+// Converters return undefined for fields they don't understand,
+// e.g. after lenient parsing, so the original objects are kept.
+
+// The value field depends on the longs option.
+function longValue(fields) {
+    var value = fields.value;
+    if (typeof value === "bigint")
+        return value;
+    if (Number.isSafeInteger(value))
+        return BigInt(value);
+    if (Long.isLong(value))
+        return BigInt(value.toString());
+    return undefined;
+}
+
+function bigIntegerValue(fields) {
+    var magnitude = fields.magnitude;
+    if (!Array.isArray(magnitude) || [-1, 0, 1].indexOf(fields.signum) === -1)
+        return undefined;
+    var hex = "0x0";
+    for (var i = 0; i < magnitude.length; ++i) {
+        if (typeof magnitude[i] !== "number")
+            return undefined;
+        hex += ((magnitude[i] & 0xff) | 0x100).toString(16).substring(1);
+    }
+    return BigInt(fields.signum) * BigInt(hex);
+}
+
+function bigDecimalValue(fields) {
+    var intVal = fields.intVal;
+    var bigInteger = intVal && intVal.extends && intVal.extends["java.math.BigInteger"];
+    var unscaled = bigInteger ? bigIntegerValue(bigInteger) : undefined;
+    if (unscaled === undefined || !Number.isInteger(fields.scale))
+        return undefined;
+    return plainDecimal(unscaled, fields.scale);
+}
+
+// Format like BigDecimal.toPlainString, i.e. never in exponential notation.
+function plainDecimal(unscaled, scale) {
+    var sign = unscaled < 0 ? "-" : "";
+    var digits = (unscaled < 0 ? -unscaled : unscaled).toString();
+    if (scale <= 0)
+        return unscaled ? sign + digits + "0".repeat(-scale) : "0";
+    if (digits.length <= scale)
+        digits = "0".repeat(scale + 1 - digits.length) + digits;
+    var point = digits.length - scale;
+    return sign + digits.substring(0, point) + "." + digits.substring(point);
+}
+
+// Replace boxed primitives, big numbers and enums by native values
+// wherever the parsed objects expose them: in their own properties,
+// which includes the views of post-processors, and in arrays.
+// The extends maps keep the original objects, with their class.
+// Containers which aren't objects with a class get converted copies,
+// since the extends maps might refer to them, too.
+function Naturalizer() {
+    this.copies = new Map();
+    this.done = new Set();
+}
+
+Naturalizer.prototype.convert = function(val) {
+    if (val === null || typeof val !== "object" || val instanceof JavaException)
+        return val;
+    if (val instanceof String)
+        return val.class ? val.valueOf() : val;
+    var copy = this.copies.get(val);
+    if (copy !== undefined)
+        return copy;
+    if (Array.isArray(val))
+        return this.convertArray(val);
+    if (val instanceof Map)
+        return this.convertMap(val);
+    if (val instanceof Set)
+        return this.convertSet(val);
+    if (val.class)
+        return this.convertObject(val);
+    // Leave alone block data, longs and the like.
+    // Class descriptors show up as values for TC_CLASS, but contain nothing to convert.
+    if (Object.getPrototypeOf(val) !== Object.prototype || isClassDesc(val))
+        return val;
+    copy = {};
+    this.copies.set(val, copy);
+    for (var key in val)
+        copy[key] = this.convert(val[key]);
+    return copy;
+}
+
+Naturalizer.prototype.convertObject = function(obj) {
+    var converter = converters[obj.class.name];
+    var fields = obj.extends[obj.class.name];
+    var value = converter && fields ? converter(fields, obj) : undefined;
+    if (value !== undefined)
+        return value;
+    if (!this.done.has(obj)) {
+        this.done.add(obj);
+        for (var key in obj)
+            obj[key] = this.convert(obj[key]);
+    }
+    return obj;
+}
+
+Naturalizer.prototype.convertArray = function(arr) {
+    // Arrays of primitives have nothing to convert.
+    if (arr.class && "[L".indexOf(arr.class.name.charAt(1)) === -1)
+        return arr;
+    var copy = [];
+    if (arr.class) {
+        Object.defineProperties(copy, {
+            "class": {
+                configurable: true,
+                value: arr.class,
+            },
+            "extends": {
+                configurable: true,
+                value: arr.extends,
+            },
+        });
+    }
+    this.copies.set(arr, copy);
+    for (var i = 0; i < arr.length; ++i)
+        copy[i] = this.convert(arr[i]);
+    return copy;
+}
+
+Naturalizer.prototype.convertMap = function(map) {
+    var copy = new Map();
+    this.copies.set(map, copy);
+    var self = this;
+    map.forEach(function(value, key) {
+        copy.set(self.convert(key), self.convert(value));
+    });
+    return copy;
+}
+
+Naturalizer.prototype.convertSet = function(set) {
+    var copy = new Set();
+    this.copies.set(set, copy);
+    var self = this;
+    set.forEach(function(value) {
+        copy.add(self.convert(value));
+    });
+    return copy;
+}
+
+module.exports = Naturalizer;
@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var Long = require("long");
+var JavaDeserializationError = require("./error.js");
+var mutf8 = require("./mutf8.js");
+
+// Reads the custom data of a class, i.e. the list of block data Buffers
+// and objects written by writeObject or writeExternal, the way
+// ObjectInputStream does, so post-processors can follow the Java code.
+// Primitive values may span several Buffers, as block data records
+// are limited in size, but not an object.
+function ObjectInput(parser, fields, data) {
+    this.parser = parser;
+    this.fields = fields;
+    this.data = data || [];
+    this.index = 0;
+    // The block data being read, with the Buffers following it
+    // concatenated when a value spans them.
+    this.block = Buffer.alloc(0);
+    this.pos = 0;
+}
+
+function fail(message) {
+    return new JavaDeserializationError("INVALID_CUSTOM_DATA", message);
+}
+
+// The position of the next len bytes in the block, which may get replaced,
+// so it has to be accessed only after calling this.
+ObjectInput.prototype.take = function(len) {
+    if (this.pos + len > this.block.length) {
+        var parts = [this.block.slice(this.pos)];
+        var available = parts[0].length;
+        while (available < len && Buffer.isBuffer(this.data[this.index])) {
+            parts.push(this.data[this.index]);
+            available += this.data[this.index++].length;
+        }
+        if (available < len)
+            throw fail("Premature end of block data");
+        this.block = Buffer.concat(parts);
+        this.pos = 0;
+    }
+    var pos = this.pos;
+    this.pos += len;
+    return pos;
+}
+
+// The number of bytes which can be read before the next object.
+ObjectInput.prototype.available = function() {
+    var available = this.block.length - this.pos;
+    for (var i = this.index; Buffer.isBuffer(this.data[i]); ++i)
+        available += this.data[i].length;
+    return available;
+}
+
+// The fields are parsed already, so this only returns them.
+ObjectInput.prototype.defaultReadObject = function() {
+    return this.fields;
+}
+
+ObjectInput.prototype.readObject = function() {
+    if (this.available() !== 0)
+        throw fail("Block data where an object was expected");
+    if (this.index >= this.data.length)
+        throw fail("No more objects in custom data");
+    return this.data[this.index++];
+}
+
+ObjectInput.prototype.readFully = function(len) {
+    var pos = this.take(len);
+    return this.block.slice(pos, this.pos);
+}
+
+ObjectInput.prototype.skipBytes = function(len) {
+    this.take(len);
+    return len;
+}
+
+ObjectInput.prototype.readBoolean = function() {
+    var pos = this.take(1);
+    return this.block.readUInt8(pos) !== 0;
+}
+
+ObjectInput.prototype.readByte = function() {
+    var pos = this.take(1);
+    return this.block.readInt8(pos);
+}
+
+ObjectInput.prototype.readUnsignedByte = function() {
+    var pos = this.take(1);
+    return this.block.readUInt8(pos);
+}
+
+ObjectInput.prototype.readShort = function() {
+    var pos = this.take(2);
+    return this.block.readInt16BE(pos);
+}
+
+ObjectInput.prototype.readUnsignedShort = function() {
+    var pos = this.take(2);
+    return this.block.readUInt16BE(pos);
+}
+
+ObjectInput.prototype.readChar = function() {
+    var pos = this.take(2);
+    return String.fromCharCode(this.block.readUInt16BE(pos));
+}
+
+ObjectInput.prototype.readInt = function() {
+    var pos = this.take(4);
+    return this.block.readInt32BE(pos);
+}
+
+// In the representation selected by the longs option.
+ObjectInput.prototype.readLong = function() {
+    var pos = this.take(8);
+    var long = Long.fromBits(this.block.readInt32BE(pos + 4), this.block.readInt32BE(pos));
+    return this.parser.convertLong(long);
+}
+
+ObjectInput.prototype.readFloat = function() {
+    var pos = this.take(4);
+    return this.block.readFloatBE(pos);
+}
+
+ObjectInput.prototype.readDouble = function() {
+    var pos = this.take(8);
+    return this.block.readDoubleBE(pos);
+}
+
+ObjectInput.prototype.readUTF = function() {
+    var len = this.readUnsignedShort();
+    var pos = this.take(len);
+    return mutf8.decode(this.block, pos, this.pos, this.parser.options.strictUtf);
+}
+
+module.exports = ObjectInput;
@@ -24,8 +24,18 @@
 
 "use strict";
 
-var assert = require("assert");
 var Long = require("long");
+var JavaException = require("./exception.js");
+var JavaDeserializationError = require("./error.js");
+var hide = JavaDeserializationError.hide;
+var Placeholder = require("./placeholder.js");
+var ObjectInput = require("./objectinput.js");
+var mutf8 = require("./mutf8.js");
+var createFilter = require("./filter.js").createFilter;
+var Naturalizer = require("./natural.js");
+var typed = require("./typed.js");
+var registry = require("./registry.js");
+var isClassDesc = require("./schema.js").isClassDesc;
 
 var names = [
     "Null", "Reference", "ClassDesc", "Object", "String", "Array", "Class", "BlockData", "EndBlockData",
@@ -33,17 +43,262 @@ var names = [
 ];
 
 var endBlock = {};
+var reset = {};
 
-function Parser(buf) {
+function Parser(buf, options) {
+    this.init(buf, options);
+    this.magic();
+    this.version();
+    this.items();
+}
+
+Parser.prototype.init = function(buf, options) {
     this.buf = buf;
+    this.options = options || {};
+    this.filter = this.options.filter;
+    if (typeof this.filter === "string")
+        this.filter = createFilter(this.filter);
+    this.naturalizer = this.options.naturalValues ? new Naturalizer() : null;
+    // The model or factory for each class description, once looked up.
+    this.models = new Map();
+    this.longs = this.options.longs || "long";
+    if (!longConverters[this.longs])
+        throw Error("Unknown representation of longs: " + this.longs);
     this.pos = 0;
+    // The offset of buf in the whole stream, which streams parse piecewise.
+    this.base = 0;
+    this.depth = 0;
+    this.graphDepth = 0;
+    this.records = [];
+    this.path = [];
     this.nextHandle = 0x7e0000;
     this.handles = [];
-    this.contents = [];
-    this.magic();
-    this.version();
-    while (this.pos < this.buf.length) {
-        this.contents.push(this.content());
+    this.objectCount = 0;
+    this.resets = [];
+    this.contents = Object.defineProperty([], "resets", {
+        configurable: true,
+        value: this.resets,
+    });
+    // Guessed extents of version 1 external content in the current item.
+    this.guesses = this.options.guessExternal ? [] : null;
+    this.guessIndex = 0;
+    this.lenient = !!this.options.lenient;
+    if (this.lenient) {
+        this.diagnostics = [];
+        Object.defineProperty(this.contents, "diagnostics", {
+            configurable: true,
+            value: this.diagnostics,
+        });
+    }
+}
+
+// Parse one top level item and append it to the contents.
+Parser.prototype.item = function() {
+    this.path.length = 0;
+    var elt = this.guesses ? this.guessingContent() : this.content();
+    if (elt === reset)
+        return;
+    if (this.naturalizer)
+        elt = this.naturalizer.convert(elt);
+    this.contents.push(elt);
+}
+
+// Parse all the remaining items.
+Parser.prototype.items = function() {
+    try {
+        while (this.pos < this.buf.length)
+            this.item();
+    } catch (err) {
+        if (!this.recoverable(err))
+            throw err;
+        // Nothing after the error can be trusted, so stop with what there is.
+        this.contents.push(this.failedValue(err));
+        this.records.length = 0;
+        this.depth = 0;
+        this.graphDepth = 0;
+    }
+}
+
+// Capture enough state to parse the next item again if it failed half way,
+// e.g. because more input is needed to complete it.
+Parser.prototype.checkpoint = function() {
+    return {
+        pos: this.pos,
+        nextHandle: this.nextHandle,
+        handles: this.handles,
+        objectCount: this.objectCount,
+        contents: this.contents.length,
+        resets: this.resets.length,
+    };
+}
+
+Parser.prototype.rollback = function(checkpoint) {
+    this.pos = checkpoint.pos;
+    this.depth = 0;
+    this.graphDepth = 0;
+    this.records.length = 0;
+    // A reset replaces the handle table, so the old one is still intact
+    // except for the handles which were added after the checkpoint.
+    this.handles = checkpoint.handles;
+    if (this.handles.length > checkpoint.nextHandle)
+        this.handles.length = checkpoint.nextHandle;
+    this.nextHandle = checkpoint.nextHandle;
+    this.objectCount = checkpoint.objectCount;
+    this.contents.length = checkpoint.contents;
+    this.resets.length = checkpoint.resets;
+}
+
+// Representations of long values, selected by the longs option.
+var longConverters = {
+    long: function(long) {
+        return long;
+    },
+    bigint: function(long) {
+        return BigInt.asIntN(64, (BigInt(long.getHighBitsUnsigned()) << BigInt(32)) |
+            BigInt(long.getLowBitsUnsigned()));
+    },
+    number: function(long) {
+        var num = long.toNumber();
+        return Number.isSafeInteger(num) ? num : longConverters.bigint(long);
+    },
+};
+
+Parser.prototype.convertLong = function(long) {
+    return longConverters[this.longs](long);
+}
+
+// Options for limiting resource usage, with the error code for each.
+var limits = {
+    maxArrayLength: "MAX_ARRAY_LENGTH",
+    maxDepth: "MAX_DEPTH",
+    maxHandles: "MAX_HANDLES",
+    maxObjects: "MAX_OBJECTS",
+    maxStringBytes: "MAX_STRING_BYTES",
+};
+
+Parser.prototype.checkLimit = function(option, value, what) {
+    var limit = this.options[option];
+    if (limit !== undefined && value > limit) {
+        throw this.error(limits[option], what + " " + value + " exceeds limit of " + limit);
+    }
+}
+
+// In lenient mode, errors get reported as diagnostics instead,
+// except for those enforcing limits or filters.
+Parser.prototype.recoverable = function(err) {
+    if (!this.lenient || !(err instanceof JavaDeserializationError) || err.code === "FILTER_REJECTED")
+        return false;
+    for (var option in limits) {
+        if (err.code === limits[option])
+            return false;
+    }
+    return true;
+}
+
+Parser.prototype.diagnose = function(err) {
+    var record = this.records[this.records.length - 1];
+    var diagnostic = {
+        type: record ? record.type : null,
+        offset: record ? record.offset : err.offset,
+        position: err.offset,
+        code: err.code,
+        path: err.path,
+        message: err.message,
+    };
+    this.diagnostics.push(diagnostic);
+    return diagnostic;
+}
+
+// The value to keep in place of a nested record which failed:
+// as much of it as could be parsed, or a placeholder.
+// The error gets reported once, for the innermost record.
+Parser.prototype.failedValue = function(err) {
+    if (!err.diagnostic)
+        err.diagnostic = this.diagnose(err);
+    var value = err.partial !== undefined ? err.partial
+        : new Placeholder(null, err.diagnostic.position, err.message);
+    err.partial = undefined;
+    return value;
+}
+
+// Create an error with the current context, detected at the given offset
+// which defaults to the current position.
+Parser.prototype.error = function(code, message, offset) {
+    return this.addContext(new JavaDeserializationError(code, message), offset);
+}
+
+// Call a post-processor, class data parser, filter or factory.
+// What they throw gets wrapped, so it carries the context where it happened.
+// Running out of stack is not their fault, so that is passed through
+// like any other foreign error, which can't be recovered from.
+Parser.prototype.callback = function(fn, args) {
+    try {
+        return fn.apply(this, args);
+    } catch (err) {
+        if (err instanceof JavaException || err instanceof JavaDeserializationError || isStackOverflow(err))
+            throw err;
+        throw this.addContext(new JavaDeserializationError("CALLBACK_FAILED", err.message, err));
+    }
+}
+
+function isStackOverflow(err) {
+    return err instanceof RangeError && /call stack/i.test(err.message);
+}
+
+Parser.prototype.addContext = function(err, offset) {
+    offset = offset === undefined ? this.pos : offset;
+    hide(err, "offset", this.base + offset);
+    hide(err, "records", this.records.map(function(record) {
+        return {type: record.type, offset: record.offset};
+    }));
+    hide(err, "path", formatPath(this.path));
+    hide(err, "excerpt", excerpt(this.buf, offset));
+    return err;
+}
+
+// The path consists of property names and array indices,
+// relative to the top level item being parsed.
+function formatPath(path) {
+    var res = "root";
+    for (var i = 0; i < path.length; ++i) {
+        var key = path[i];
+        if (typeof key === "number")
+            res += "[" + key + "]";
+        else if (/^[A-Za-z_$][\w$]*$/.test(key))
+            res += "." + key;
+        else
+            res += "[" + JSON.stringify(key) + "]";
+    }
+    return res;
+}
+
+// The bytes around an offset in hex, with a bar at the offset itself.
+function excerpt(buf, offset) {
+    var start = Math.max(0, offset - 8);
+    var end = Math.min(buf.length, offset + 8);
+    var hex = function(from, to) {
+        return buf.toString("hex", from, to).replace(/(..)(?!$)/g, "$1 ");
+    };
+    return (hex(start, offset) + " | " + hex(offset, end)).trim();
+}
+
+// Ask the filter whether a class or array may be deserialized,
+// before looking at any of its data.
+Parser.prototype.checkFilter = function(className, serialVersionUID, arrayLength) {
+    if (!this.filter)
+        return;
+    var status = this.callback(this.filter, [{
+        className: className,
+        serialVersionUID: serialVersionUID,
+        arrayLength: arrayLength,
+        depth: this.graphDepth,
+        references: this.objectCount,
+        streamBytes: this.base + this.pos,
+    }]);
+    if (status === false) {
+        throw this.error("FILTER_REJECTED", arrayLength === -1 ?
+            "Class " + className + " rejected by filter" :
+            "Array " + className + " of length " + arrayLength + " rejected by filter");
     }
 }
 
@@ -51,7 +306,9 @@ Parser.prototype.step = function(len) {
     var pos = this.pos;
     this.pos += len;
     if (this.pos > this.buf.length) {
-        var err = new Error("Premature end of input");
+        var err = this.error("UNEXPECTED_END", "Premature end of input", pos);
+        hide(err, "end", this.base + this.pos);
+        // For bcompat, the input and the end of what should have been read.
         err.buf = this.buf;
         err.pos = this.pos;
         throw err;
@@ -92,50 +349,109 @@ Parser.prototype.readHex = function(len) {
     return this.chunk(len, "hex");
 }
 
+Parser.prototype.modifiedUtf8 = function(len) {
+    this.checkLimit("maxStringBytes", len, "String length");
+    var pos = this.step(len);
+    try {
+        return mutf8.decode(this.buf, pos, this.pos, this.options.strictUtf);
+    } catch (err) {
+        throw this.error("MALFORMED_UTF", err.message, pos);
+    }
+}
+
 Parser.prototype.utf = function() {
-    return this.chunk(this.readUInt16(), "utf8");
+    return this.modifiedUtf8(this.readUInt16());
 }
 
 Parser.prototype.utfLong = function() {
     if (this.readUInt32() !== 0)
-        throw new Error("Can't handle more than 2^32 bytes in a string");
-    return this.chunk(this.readUInt32(), "utf8");
+        throw this.error("STRING_TOO_LONG", "Can't handle more than 2^32 bytes in a string");
+    return this.modifiedUtf8(this.readUInt32());
 }
 
 Parser.prototype.magic = function() {
     this.magic = this.readUInt16();
     if (this.magic !== 0xaced)
-        throw Error("STREAM_MAGIC not found");
+        throw this.error("BAD_MAGIC", "STREAM_MAGIC not found", 0);
 }
 
 Parser.prototype.version = function() {
     this.version = this.readUInt16();
     if (this.version !== 5)
-        throw Error("Only understand protocol version 5");
+        throw this.error("BAD_VERSION", "Only understand protocol version 5", 2);
 }
 
+// The records which are nodes of the object graph.
+var graphRecords = ["Object", "Array", "Enum", "Class"];
+
 Parser.prototype.content = function(allowed) {
+    var offset = this.pos;
     var tc = this.readUInt8() - 0x70;
-    if (tc < 0 || tc > names.length)
-        throw Error("Don't know about type 0x" + (tc + 0x70).toString(16));
+    if (tc < 0 || tc >= names.length)
+        throw this.error("UNKNOWN_TYPE_CODE", "Don't know about type 0x" + (tc + 0x70).toString(16), offset);
     var name = names[tc];
     if (allowed && allowed.indexOf(name) === -1)
-        throw Error(name + " not allowed here");
+        throw this.error("UNEXPECTED_RECORD", name + " not allowed here", offset);
     var handler = this["parse" + name];
     if (!handler)
-        throw Error("Don't know how to handle " + name);
-    var elt = handler.call(this);
+        throw this.error("UNEXPECTED_RECORD", "Don't know how to handle " + name, offset);
+    this.checkLimit("maxDepth", ++this.depth, "Nesting depth");
+    // Filters get the depth in the object graph, like from ObjectInputStream,
+    // so class descriptions count as part of the object they describe.
+    var graphRecord = graphRecords.indexOf(name) !== -1;
+    if (graphRecord)
+        ++this.graphDepth;
+    // Keep track of the records being parsed, so handles can be attributed.
+    var record = {type: name, offset: this.base + offset, depth: this.depth, handle: null};
+    this.records.push(record);
+    var elt;
+    try {
+        elt = handler.call(this, allowed);
+    } catch (err) {
+        // Errors from other modules only lack the context.
+        if (err instanceof JavaDeserializationError && err.offset === undefined)
+            this.addContext(err);
+        if (this.recoverable(err)) {
+            if (!err.diagnostic)
+                err.diagnostic = this.diagnose(err);
+            err.partial = record.value !== undefined ? record.value
+                : new Placeholder(record.type, record.offset, err.message);
+        }
+        throw err;
+    }
+    this.records.pop();
+    --this.depth;
+    if (graphRecord)
+        --this.graphDepth;
+    if (this.options.onRecord) {
+        record.end = this.base + this.pos;
+        record.value = elt;
+        this.options.onRecord(record);
+    }
     return elt;
 }
 
+// The caller adds the name of the annotations to the path.
 Parser.prototype.annotations = function(allowed) {
     var annotations = [];
+    var annotation;
+    this.path.push(0);
     while (true) {
-        var annotation = this.content(allowed);
+        this.path[this.path.length - 1] = annotations.length;
+        try {
+            annotation = this.content(allowed);
+        } catch (err) {
+            if (this.recoverable(err)) {
+                annotations.push(this.failedValue(err));
+                err.data = annotations;
+            }
+            throw err;
+        }
         if (annotation === endBlock)
             break;
         annotations.push(annotation);
     }
+    this.path.pop();
     return annotations;
 }
 
@@ -143,19 +459,76 @@ Parser.prototype.classDesc = function() {
     return this.content(["ClassDesc", "ProxyClassDesc", "Null", "Reference"]);
 }
 
+// The class description of an object, array or enum constant.
+// Only objects get by without one.
+Parser.prototype.classOf = function() {
+    var offset = this.pos;
+    this.path.push("class");
+    var res = this.classDesc();
+    this.path.pop();
+    var type = this.records[this.records.length - 1].type;
+    if (res === null && type !== "Object")
+        throw this.error("UNEXPECTED_RECORD", type + " without a class", offset);
+    return res;
+}
+
 Parser.prototype.parseClassDesc = function() {
     var res = {};
     res.name = this.utf();
     res.serialVersionUID = this.readHex(8);
+    this.checkFilter(res.name, res.serialVersionUID, -1);
     this.newHandle(res);
     res.flags = this.readUInt8();
     res.isEnum = !!(res.flags & 0x10);
     var count = this.readUInt16();
     res.fields = [];
-    for (var i = 0; i < count; ++i)
+    this.path.push("fields", 0);
+    for (var i = 0; i < count; ++i) {
+        this.path[this.path.length - 1] = i;
         res.fields.push(this.fieldDesc());
-    res.annotations = this.annotations();
-    res.super = this.classDesc();
+    }
+    this.path.length -= 2;
+    this.classDescTail(res);
+    return res;
+}
+
+Parser.prototype.classDescTail = function(cls) {
+    this.path.push("annotations");
+    cls.annotations = this.annotations();
+    this.path[this.path.length - 1] = "super";
+    cls.super = this.superClassDesc(cls);
+    this.path.pop();
+}
+
+Parser.prototype.superClassDesc = function(cls) {
+    var res = this.classDesc();
+    // A reference to a class still being parsed could create a cycle.
+    for (var sup = res; sup; sup = sup.super) {
+        if (sup === cls)
+            throw this.error("CYCLIC_CLASS", "Cyclic class hierarchy");
+    }
+    return res;
+}
+
+Parser.prototype.parseProxyClassDesc = function() {
+    // Dynamic proxy classes are named by the interfaces they implement.
+    // Their only state is the InvocationHandler of java.lang.reflect.Proxy.
+    var res = {
+        name: null,
+        serialVersionUID: "0000000000000000",
+        isProxy: true,
+    };
+    this.newHandle(res);
+    var count = this.readInt32();
+    res.interfaces = [];
+    for (var i = 0; i < count; ++i) {
+        res.interfaces.push(this.utf());
+        this.checkFilter(res.interfaces[i], null, -1);
+    }
+    res.flags = 0x02;
+    res.isEnum = false;
+    res.fields = [];
+    this.classDescTail(res);
     return res;
 }
 
@@ -163,8 +536,11 @@ Parser.prototype.fieldDesc = function() {
     var res = {};
     res.type = String.fromCharCode(this.readUInt8());
     res.name = this.utf();
-    if ("[L".indexOf(res.type) !== -1)
+    if ("[L".indexOf(res.type) !== -1) {
+        this.path.push("className");
         res.className = this.content();
+        this.path.pop();
+    }
     return res;
 }
 
@@ -173,55 +549,310 @@ Parser.prototype.parseClass = function() {
 }
 
 Parser.prototype.parseObject = function() {
-    var res = Object.defineProperties({}, {
+    var cls = this.classOf();
+    var mapping = this.modelFor(cls);
+    var proto = mapping && mapping.model ? mapping.model.prototype : Object.prototype;
+    var res = Object.create(proto, {
         "class": {
             configurable: true,
-            value: this.classDesc(),
+            value: cls,
         },
         "extends": {
             configurable: true,
             value: {},
         },
     });
-    this.newHandle(res);
-    this.recursiveClassData(res.class, res);
+    var setHandle = this.newDeferredHandle();
+    setHandle(res);
+    this.recursiveClassData(cls, res);
+    if (mapping && mapping.factory) {
+        // Like readResolve in Java, so references to the object
+        // from within its own data keep referring to the original.
+        res = this.callback(mapping.factory, [res.extends, res]);
+        setHandle(res);
+    }
     return res;
 }
 
+// The JS class or factory registered for a class or its nearest super class.
+Parser.prototype.modelFor = function(cls) {
+    var mapping = this.models.get(cls);
+    if (mapping !== undefined)
+        return mapping;
+    mapping = null;
+    for (var sup = cls; sup && !mapping; sup = sup.super) {
+        if (sup.isProxy)
+            continue;
+        var factory = registry.lookup(this, "factory", sup);
+        var model = factory ? null : registry.lookup(this, "model", sup);
+        if (factory || model)
+            mapping = {factory: factory, model: model};
+    }
+    this.models.set(cls, mapping);
+    return mapping;
+}
+
 Parser.prototype.recursiveClassData = function(cls, obj) {
-    if (cls.super)
-        this.recursiveClassData(cls.super, obj);
-    var fields = obj.extends[cls.name] = this.classdata(cls, obj);
-    for (var name in fields)
-        obj[name] = fields[name];
+    // Long class hierarchies don't need deep nesting in the stream,
+    // so iterate over them instead of actually recursing.
+    var chain = [];
+    for (; cls; cls = cls.super)
+        chain.push(cls);
+    for (var i = chain.length - 1; i >= 0; --i) {
+        cls = chain[i];
+        if (cls.isProxy)
+            continue;
+        obj.extends[cls.name] = this.classdata(cls, obj);
+    }
 }
 
-Parser.prototype.classdata = function(cls) {
+Parser.prototype.classdata = function(cls, obj) {
     var res, data;
     // For bcompat, this defaults to the values handler - same as without a write method.
-    var classdata = this[cls.name + "@" + cls.serialVersionUID + ":classdata"] || this.values;
-    var postproc = this[cls.name + "@" + cls.serialVersionUID + ":postproc"];
-    switch (cls.flags & 0x0f) {
-        case 0x02: // SC_SERIALIZABLE without SC_WRITE_METHOD
-            return this.values(cls);
-        case 0x03: // SC_SERIALIZABLE with SC_WRITE_METHOD
-            res = classdata.call(this, cls);
-            data = res["@"] = this.annotations();
-            if (postproc)
-                res = postproc.call(this, cls, res, data);
-            return res;
-        case 0x04: // SC_EXTERNALIZABLE without SC_BLOCKDATA
-            throw Error("Can't parse version 1 external content");
-        case 0x0c: // SC_EXTERNALIZABLE with SC_BLOCKDATA
-            return { "@": this.annotations() };
-        default:
-            throw Error("Don't know how to deserialize class with flags 0x" + cls.flags.toString(16));
+    var classdata = registry.lookup(this, "classdata", cls) || this.values;
+    var postproc = registry.lookup(this, "postproc", cls);
+    try {
+        switch (cls.flags & 0x0f) {
+            case 0x02: // SC_SERIALIZABLE without SC_WRITE_METHOD
+                res = this.values(cls);
+                return this.postprocess(postproc, cls, res, [], obj);
+            case 0x03: // SC_SERIALIZABLE with SC_WRITE_METHOD
+                res = this.callback(classdata, [cls]);
+                data = res["@"] = this.objectAnnotations();
+                return this.postprocess(postproc, cls, res, data, obj);
+            case 0x04: // SC_EXTERNALIZABLE without SC_BLOCKDATA
+                res = { "@": this.externalContent(cls) };
+                return this.postprocess(postproc, cls, res, res["@"], obj);
+            case 0x0c: // SC_EXTERNALIZABLE with SC_BLOCKDATA
+                res = { "@": this.objectAnnotations() };
+                return this.postprocess(postproc, cls, res, res["@"], obj);
+            default:
+                var unknown = this.error("UNSUPPORTED_FLAGS", "Don't know how to deserialize class with flags 0x" + cls.flags.toString(16));
+                // Custom data in block data mode ends with TC_ENDBLOCKDATA, so it can be skipped.
+                if (!this.lenient || !(cls.flags & 0x08))
+                    throw unknown;
+                this.diagnose(unknown);
+                res = { "@": this.objectAnnotations() };
+                return this.postprocess(null, cls, res, res["@"], obj);
+        }
+    } catch (err) {
+        if (this.recoverable(err))
+            this.salvageClassdata(err, cls, res, obj);
+        throw err;
+    }
+}
+
+// The custom data written by writeObject or writeExternal.
+Parser.prototype.objectAnnotations = function() {
+    this.path.push("@");
+    var res = this.annotations();
+    this.path.pop();
+    return res;
+}
+
+// The content written by writeExternal using protocol version 1,
+// without block data framing, so it can't be parsed without knowing its format.
+Parser.prototype.externalContent = function(cls) {
+    var reader = registry.lookup(this, "external", cls);
+    if (!reader && !this.guesses)
+        throw this.error("UNSUPPORTED_FLAGS", "Can't parse version 1 external content of " + cls.name);
+    this.path.push("@");
+    var res = reader ? this.callback(reader, [cls]) : this.guessedExternal();
+    this.path.pop();
+    return res;
+}
+
+Parser.prototype.readBytes = function(len) {
+    var pos = this.step(len);
+    return this.buf.slice(pos, this.pos);
+}
+
+// Retry parsing the current item with longer and longer external content,
+// starting with the innermost, until the whole item can be parsed and
+// is followed by the end of the stream or something like another item.
+var maxGuesses = 10000;
+
+Parser.prototype.guessingContent = function() {
+    var checkpoint = this.checkpoint();
+    var diagnostics = this.lenient ? this.diagnostics.length : 0;
+    this.guesses.length = 0;
+    for (var attempt = 0; attempt < maxGuesses; ++attempt) {
+        this.guessIndex = 0;
+        var elt, error = null;
+        try {
+            elt = this.content();
+        } catch (err) {
+            error = err;
+        }
+        if (!this.guesses.length) {
+            if (error)
+                throw error;
+            return elt;
+        }
+        if (!error && this.plausibleEnd() &&
+            (!this.lenient || this.diagnostics.length === diagnostics))
+            return elt;
+        this.rollback(checkpoint);
+        if (this.lenient)
+            this.diagnostics.length = diagnostics;
+        this.guesses.length = this.guessIndex;
+        if (!this.nextGuess())
+            break;
+    }
+    // Without a consistent guess, fail the way it would without guessing.
+    this.rollback(checkpoint);
+    var guesses = this.guesses;
+    this.guesses = null;
+    try {
+        return this.content();
+    } finally {
+        this.guesses = guesses;
+    }
+}
+
+Parser.prototype.plausibleEnd = function() {
+    if (this.pos === this.buf.length)
+        return true;
+    var tc = this.buf[this.pos] - 0x70;
+    return tc >= 0 && tc < names.length && names[tc] !== "EndBlockData";
+}
+
+Parser.prototype.nextGuess = function() {
+    while (this.guesses.length) {
+        var guess = this.guesses[this.guesses.length - 1];
+        if (guess.end < this.buf.length) {
+            ++guess.end;
+            return true;
+        }
+        this.guesses.pop();
+    }
+    return false;
+}
+
+// The records within the guessed extent which can be parsed,
+// with the bytes in between as Buffers.
+Parser.prototype.guessedExternal = function() {
+    var guess = this.guesses[this.guessIndex++];
+    if (!guess || guess.start !== this.pos) {
+        this.guesses.length = this.guessIndex - 1;
+        guess = {start: this.pos, end: this.pos};
+        this.guesses.push(guess);
+    }
+    var data = [];
+    var raw = this.pos;
+    while (this.pos < guess.end) {
+        var start = this.pos;
+        var value = this.tryContent(guess.end);
+        if (value === noValue) {
+            ++this.pos;
+            continue;
+        }
+        if (raw < start)
+            data.push(this.buf.slice(raw, start));
+        data.push(value);
+        raw = this.pos;
     }
+    if (raw < guess.end)
+        data.push(this.buf.slice(raw, guess.end));
+    return data;
+}
+
+var noValue = {};
+var guessedRecords = ["Null", "Reference", "Object", "String", "Array", "Class", "LongString", "Enum"];
+
+// Parse a record ending before the given position if there is one,
+// leaving no trace otherwise.
+Parser.prototype.tryContent = function(end) {
+    if (guessedRecords.indexOf(names[this.buf[this.pos] - 0x70]) === -1)
+        return noValue;
+    var state = {
+        pos: this.pos,
+        nextHandle: this.nextHandle,
+        objectCount: this.objectCount,
+        depth: this.depth,
+        graphDepth: this.graphDepth,
+        records: this.records.length,
+        path: this.path.length,
+        guessIndex: this.guessIndex,
+    };
+    var value;
+    var lenient = this.lenient;
+    this.lenient = false;
+    try {
+        value = this.content();
+    } catch (err) {
+        if (err instanceof JavaException)
+            throw err;
+        value = noValue;
+    } finally {
+        this.lenient = lenient;
+    }
+    if (this.pos > end)
+        value = noValue;
+    if (value === noValue) {
+        this.pos = state.pos;
+        if (this.handles.length > state.nextHandle)
+            this.handles.length = state.nextHandle;
+        this.nextHandle = state.nextHandle;
+        this.objectCount = state.objectCount;
+        this.depth = state.depth;
+        this.graphDepth = state.graphDepth;
+        this.records.length = state.records;
+        this.path.length = state.path;
+        this.guessIndex = state.guessIndex;
+    }
+    return value;
+}
+
+// Keep the fields and custom data which could be parsed before an error.
+Parser.prototype.salvageClassdata = function(err, cls, fields, obj) {
+    fields = fields || err.fields || {};
+    if (err.data)
+        fields["@"] = err.data;
+    err.fields = err.data = undefined;
+    obj.extends[cls.name] = this.postprocess(null, cls, fields, null, obj);
+}
+
+// Copy the fields to the object, then let the post-processor add its views.
+// Fields it leaves unchanged don't get copied again, so it may shadow one
+// by a view on the object only, keeping the field value for serialization.
+Parser.prototype.postprocess = function(postproc, cls, fields, data, obj) {
+    var copied = Object.create(null);
+    for (var name in fields)
+        obj[name] = copied[name] = fields[name];
+    if (!postproc)
+        return fields;
+    var res;
+    try {
+        res = this.callback(postproc, [cls, fields, data, obj, new ObjectInput(this, fields, data)]);
+    } catch (err) {
+        if (!this.recoverable(err))
+            throw err;
+        // The data is all there, only its views are missing.
+        this.diagnose(err);
+        return fields;
+    }
+    for (name in res) {
+        if (!(name in copied) || res[name] !== copied[name])
+            obj[name] = res[name];
+    }
+    return res;
 }
 
 Parser.prototype.parseArray = function() {
-    var classDesc = this.classDesc();
-    var res = Object.defineProperties([], {
+    var classDesc = this.classOf();
+    var setHandle = this.newDeferredHandle();
+    var len = this.readInt32();
+    if (len < 0)
+        throw this.error("NEGATIVE_ARRAY_LENGTH", "Negative array length " + len);
+    this.checkFilter(classDesc.name, classDesc.serialVersionUID, len);
+    this.checkLimit("maxArrayLength", len, "Array length");
+    // Primitive arrays can be copied in bulk instead of element by element.
+    var TypedArray = this.options.typedArrays ? typed.arrayType(classDesc.name) : undefined;
+    var res = TypedArray
+        ? typed.decode(TypedArray, this.buf, this.step(len * TypedArray.BYTES_PER_ELEMENT), len)
+        : [];
+    Object.defineProperties(res, {
         "class": {
             configurable: true,
             value: classDesc,
@@ -231,17 +862,31 @@ Parser.prototype.parseArray = function() {
             value: {},
         },
     });
-    this.newHandle(res);
-    var len = this.readInt32();
+    setHandle(res);
+    if (TypedArray)
+        return res;
     var handler = this.primHandler(classDesc.name.charAt(1));
     res.length = len;
-    for (var i = 0; i < len; ++i)
-        res[i] = handler.call(this);
+    var path = this.path;
+    path.push(0);
+    for (var i = 0; i < len; ++i) {
+        path[path.length - 1] = i;
+        try {
+            res[i] = handler.call(this);
+        } catch (err) {
+            if (this.recoverable(err)) {
+                res[i] = this.failedValue(err);
+                res.length = i + 1;
+            }
+            throw err;
+        }
+    }
+    path.pop();
     return res;
 }
 
 Parser.prototype.parseEnum = function() {
-    var clazz = this.classDesc();
+    var clazz = this.classOf();
     var deferredHandle = this.newDeferredHandle();
     var constant = this.content();
     // We need to use the object wrapper here to define the additional properties.
@@ -261,17 +906,11 @@ Parser.prototype.parseEnum = function() {
 }
 
 Parser.prototype.parseBlockData = function() {
-    var len = this.readUInt8();
-    var res = this.buf.slice(this.pos, this.pos + len);
-    this.pos += len;
-    return res;
+    return this.readBytes(this.readUInt8());
 }
 
 Parser.prototype.parseBlockDataLong = function() {
-    var len = this.readUInt32();
-    var res = this.buf.slice(this.pos, this.pos + len);
-    this.pos += len;
-    return res;
+    return this.readBytes(this.readUInt32());
 }
 
 Parser.prototype.parseString = function() {
@@ -285,7 +924,7 @@ Parser.prototype.parseLongString = function() {
 Parser.prototype.primHandler = function(type) {
     var handler = this["prim" + type];
     if (!handler)
-        throw Error("Don't know how to read field of type '" + type + "'");
+        throw this.error("UNKNOWN_FIELD_TYPE", "Don't know how to read field of type '" + type + "'");
     return handler;
 }
 
@@ -294,28 +933,90 @@ Parser.prototype.values = function(cls) {
     var fields = cls.fields;
     for (var i = 0; i < fields.length; ++i) {
         var field = fields[i];
-        var handler = this.primHandler(field.type);
-        vals[field.name] = handler.call(this);
+        this.path.push(field.name);
+        try {
+            vals[field.name] = this.primHandler(field.type).call(this);
+        } catch (err) {
+            if (this.recoverable(err)) {
+                vals[field.name] = this.failedValue(err);
+                err.fields = vals;
+            }
+            throw err;
+        }
+        this.path.pop();
     }
     return vals;
 }
 
+Parser.prototype.nextHandleIndex = function() {
+    this.checkLimit("maxHandles", this.nextHandle - 0x7e0000 + 1, "Number of handles");
+    this.checkLimit("maxObjects", ++this.objectCount, "Number of objects");
+    this.records[this.records.length - 1].handle = this.nextHandle;
+    return this.nextHandle++;
+}
+
+// The record keeps the value too, so a lenient parse can salvage it.
 Parser.prototype.newHandle = function(obj) {
-    this.handles[this.nextHandle++] = obj;
+    this.handles[this.nextHandleIndex()] = obj;
+    this.records[this.records.length - 1].value = obj;
     return obj;
 }
 
 Parser.prototype.newDeferredHandle = function() {
-    var idx = this.nextHandle++;
+    var idx = this.nextHandleIndex();
     var handles = this.handles;
+    var record = this.records[this.records.length - 1];
     handles[idx] = null;
     return function(obj) {
         handles[idx] = obj;
+        record.value = obj;
     };
 }
 
-Parser.prototype.parseReference = function() {
-    return this.handles[this.readInt32()];
+// Only class descriptions come with a list of allowed records,
+// and a placeholder can't stand in for them.
+Parser.prototype.parseReference = function(allowed) {
+    var handle = this.readInt32();
+    if (!(handle in this.handles)) {
+        var err = this.error("UNKNOWN_HANDLE", "Unknown handle 0x" + (handle >>> 0).toString(16));
+        if (!this.lenient || allowed)
+            throw err;
+        var diagnostic = this.diagnose(err);
+        return new Placeholder("Reference", diagnostic.offset, diagnostic.message);
+    }
+    var res = this.handles[handle];
+    if (allowed && (res === null || typeof res !== "object" || res.class || !isClassDesc(res)))
+        throw this.error("UNEXPECTED_RECORD", "Handle 0x" + (handle >>> 0).toString(16) + " is not a class description");
+    return res;
+}
+
+Parser.prototype.clearHandles = function() {
+    this.handles = [];
+    this.nextHandle = 0x7e0000;
+}
+
+Parser.prototype.parseReset = function() {
+    // Only allowed between top level objects, as in ObjectInputStream.
+    if (this.depth !== 1)
+        throw this.error("UNEXPECTED_RECORD", "Reset not allowed here");
+    this.clearHandles();
+    this.resets.push(this.contents.length);
+    return reset;
+}
+
+Parser.prototype.parseException = function() {
+    // The writer failed. It reset the stream both before and after
+    // writing the Throwable which caused the failure.
+    this.clearHandles();
+    this.path.push("throwable");
+    var throwable = this.content(["Object"]);
+    this.path.pop();
+    this.clearHandles();
+    var exception = new JavaException(throwable);
+    // The object which was being written when the failure occurred is incomplete.
+    if (this.depth !== 1)
+        throw exception;
+    return exception;
 }
 
 Parser.prototype.parseNull = function() {
@@ -349,7 +1050,7 @@ Parser.prototype.primI = function() {
 Parser.prototype.primJ = function() {
     var high = this.readUInt32();
     var low = this.readUInt32();
-    return Long.fromBits(low, high);
+    return this.convertLong(Long.fromBits(low, high));
 }
 
 Parser.prototype.primS = function() {
@@ -368,16 +1069,17 @@ Parser.prototype["prim["] = function() {
     return this.content();
 }
 
+// See registry.js for the ways of naming classes and their serialVersionUIDs.
 Parser.registerClassDataParser = function(className, serialVersionUID, parser) {
-    assert.strictEqual(serialVersionUID.length, 16,
-        "serialVersionUID must be 16 hex digits");
-    Parser.prototype[className + "@" + serialVersionUID + ":classdata"] = parser;
+    registry.register(Parser.prototype, "classdata", className, serialVersionUID, parser);
 }
 
 Parser.registerPostProcessor = function(className, serialVersionUID, parser) {
-    assert.strictEqual(serialVersionUID.length, 16,
-        "serialVersionUID must be 16 hex digits");
-    Parser.prototype[className + "@" + serialVersionUID + ":postproc"] = parser;
+    registry.register(Parser.prototype, "postproc", className, serialVersionUID, parser);
+}
+
+Parser.registerExternalReader = function(className, serialVersionUID, reader) {
+    registry.register(Parser.prototype, "external", className, serialVersionUID, reader);
 }
 
 // Backwards compat shim.
@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var assert = require("assert");
+
+// Handlers for classes get stored as properties of a prototype,
+// named after the class and serialVersionUID and the kind of handler,
+// e.g. "java.util.HashMap@0507dac1c31660d1:postproc".
+// A class can also be matched by its name alone, with "*" as UID,
+// or by patterns, which are kept in a list of their own.
+// The UIDs having handlers of some kind are listed with an empty UID,
+// e.g. as "java.util.HashMap@:postproc".
+// Looking up a handler tries these in that order, for each prototype
+// of the chain, so a deserializer's own handlers take precedence
+// over inherited ones like the built-in handlers.
+
+function checkUID(serialVersionUID) {
+    assert.ok(typeof serialVersionUID === "string" && /^[0-9a-f]{16}$/i.test(serialVersionUID),
+        "serialVersionUID must be 16 hex digits");
+    return serialVersionUID.toLowerCase();
+}
+
+// The serialVersionUID may be a single one, a list of them, or null for any.
+function register(proto, kind, className, serialVersionUID, handler) {
+    var uids = null;
+    if (serialVersionUID !== null && serialVersionUID !== undefined)
+        uids = [].concat(serialVersionUID).map(checkUID);
+    if (typeof className !== "string") {
+        assert.ok(className instanceof RegExp || typeof className === "function",
+            "className must be a string, RegExp or function");
+        // Later registrations take precedence.
+        if (!Object.prototype.hasOwnProperty.call(proto, "handlerPatterns"))
+            proto.handlerPatterns = [];
+        proto.handlerPatterns.unshift({kind: kind, test: className, uids: uids, handler: handler});
+        return;
+    }
+    if (!uids) {
+        proto[className + "@*:" + kind] = handler;
+        return;
+    }
+    var key = className + "@:" + kind;
+    if (!Object.prototype.hasOwnProperty.call(proto, key))
+        proto[key] = (proto[key] || []).slice();
+    uids.forEach(function(uid) {
+        proto[className + "@" + uid + ":" + kind] = handler;
+        if (proto[key].indexOf(uid) === -1)
+            proto[key].push(uid);
+    });
+}
+
+function own(proto, key) {
+    return Object.prototype.hasOwnProperty.call(proto, key) ? proto[key] : undefined;
+}
+
+function lookup(obj, kind, cls) {
+    var exact = cls.name + "@" + cls.serialVersionUID + ":" + kind;
+    var byName = cls.name + "@*:" + kind;
+    if (!obj[exact] && !obj[byName])
+        checkKnown(obj, kind, cls);
+    for (var proto = obj; proto; proto = Object.getPrototypeOf(proto)) {
+        var handler = own(proto, exact) || own(proto, byName) || matchPattern(proto, kind, cls);
+        if (handler)
+            return handler;
+    }
+    return undefined;
+}
+
+function matchPattern(proto, kind, cls) {
+    var patterns = own(proto, "handlerPatterns") || [];
+    for (var i = 0; i < patterns.length; ++i) {
+        var pattern = patterns[i];
+        if (pattern.kind !== kind ||
+            (pattern.uids && pattern.uids.indexOf(cls.serialVersionUID) === -1))
+            continue;
+        if (pattern.test instanceof RegExp) {
+            // Global and sticky RegExps would continue at their last match.
+            pattern.test.lastIndex = 0;
+            if (pattern.test.test(cls.name))
+                return pattern.handler;
+        } else if (pattern.test(cls)) {
+            return pattern.handler;
+        }
+    }
+    return undefined;
+}
+
+// Handlers registered for other versions of a class may no longer apply,
+// which deserves a warning, once for each version,
+// unless there are handlers for the class name alone.
+// Untrusted input can contain any number of versions,
+// so only the first few get a warning.
+var warned = new Set();
+var maxWarnings = 20;
+
+function checkKnown(obj, kind, cls) {
+    var uids = obj[cls.name + "@:" + kind];
+    var version = cls.name + "@" + cls.serialVersionUID;
+    if (!uids || uids.indexOf(cls.serialVersionUID) !== -1 ||
+        warned.has(version) || warned.size >= maxWarnings)
+        return;
+    warned.add(version);
+    process.emitWarning(
+        "Class " + cls.name + " has serialVersionUID " + cls.serialVersionUID +
+        " but handlers are registered for " + uids.join(", ") + " only",
+        {code: "JAVA_DESERIALIZATION_UNKNOWN_UID"});
+}
+
+module.exports.register = register;
+module.exports.lookup = lookup;
@@ -0,0 +1,537 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+
+// Collects the classes found in parsed streams into a schema,
+// i.e. their fields and the views added by post-processors,
+// and turns it into TypeScript declarations for the results of parse.
+
+"use strict";
+
+var Long = require("long");
+var typed = require("./typed.js");
+var JavaException = require("./exception.js");
+
+var primitiveNames = {
+    B: "byte", C: "char", D: "double", F: "float",
+    I: "int", J: "long", S: "short", Z: "boolean",
+};
+
+function isClassDesc(val) {
+    return typeof val.serialVersionUID === "string" && Array.isArray(val.fields);
+}
+
+// Turn a type signature like [Ljava/lang/String; into java.lang.String[].
+function typeName(sig) {
+    var dims = "";
+    while (sig.charAt(0) === "[") {
+        dims += "[]";
+        sig = sig.slice(1);
+    }
+    return (primitiveNames[sig] || sig.slice(1, -1).replace(/\//g, ".")) + dims;
+}
+
+// Array classes are named by their signature, e.g. [Ljava.lang.String;
+function className(name) {
+    return name.charAt(0) === "[" ? typeName(name) : name;
+}
+
+function fieldType(field) {
+    if (primitiveNames.hasOwnProperty(field.type))
+        return primitiveNames[field.type];
+    return typeof field.className === "string" ? typeName(field.className) : "java.lang.Object";
+}
+
+function isPrimitive(type) {
+    return type.indexOf(".") === -1 && type.slice(-2) !== "[]" &&
+        Object.keys(primitiveNames).some(function(key) { return primitiveNames[key] === type; });
+}
+
+// The Java class of a value, or null if it has none or is null.
+function runtimeClass(val) {
+    if (typeof val === "string")
+        return "java.lang.String";
+    if (typeof val !== "object" || val === null)
+        return null;
+    if (isClassDesc(val))
+        return "java.lang.Class";
+    var cls = val.class;
+    // Proxy instances are described by java.lang.reflect.Proxy.
+    if (cls && cls.isProxy)
+        cls = cls.super;
+    if (!cls || typeof cls.name !== "string")
+        return null;
+    return className(cls.name);
+}
+
+// The kind of a value without a Java class, named like its TypeScript type.
+function jsKind(val) {
+    if (val === null)
+        return "null";
+    if (typeof val !== "object")
+        return typeof val;
+    if (Long.isLong(val))
+        return "Long";
+    if (Buffer.isBuffer(val))
+        return "Buffer";
+    if (Array.isArray(val))
+        return "Array";
+    if (ArrayBuffer.isView(val))
+        return val.constructor.name;
+    if (val instanceof Map)
+        return "Map";
+    if (val instanceof Set)
+        return "Set";
+    if (val instanceof Date)
+        return "Date";
+    return "object";
+}
+
+function Collector() {
+    this.classes = new Map();
+    this.descs = new Set();
+    this.values = new Set();
+}
+
+Collector.prototype.entry = function(name) {
+    var entry = this.classes.get(name);
+    if (!entry) {
+        entry = {
+            serialVersionUIDs: [],
+            super: null,
+            isEnum: false,
+            constants: new Set(),
+            versions: 0,
+            objects: 0,
+            fields: new Map(),
+            views: new Map(),
+        };
+        this.classes.set(name, entry);
+    }
+    return entry;
+}
+
+// Add a class description and its super classes.
+// Different versions of a class get merged, with the fields
+// missing from some of them becoming optional.
+Collector.prototype.addClass = function(cls) {
+    for (; cls && isClassDesc(cls) && !this.descs.has(cls); cls = cls.super) {
+        this.descs.add(cls);
+        if (cls.isProxy || cls.name.charAt(0) === "[")
+            continue;
+        var entry = this.entry(cls.name);
+        ++entry.versions;
+        if (entry.serialVersionUIDs.indexOf(cls.serialVersionUID) === -1)
+            entry.serialVersionUIDs.push(cls.serialVersionUID);
+        if (entry.super === null && cls.super && typeof cls.super.name === "string")
+            entry.super = cls.super.name;
+        entry.isEnum = entry.isEnum || cls.isEnum;
+        cls.fields.forEach(function(field) {
+            var member = entry.fields.get(field.name);
+            if (!member) {
+                member = {type: fieldType(field), count: 0, classes: new Set()};
+                entry.fields.set(field.name, member);
+            }
+            ++member.count;
+        });
+    }
+}
+
+Collector.prototype.addView = function(entry, name, val) {
+    var view = entry.views.get(name);
+    if (!view) {
+        view = {count: 0, types: new Set(), classes: new Set()};
+        entry.views.set(name, view);
+    }
+    ++view.count;
+    var cls = runtimeClass(val);
+    if (cls)
+        view.classes.add(cls);
+    else
+        view.types.add(jsKind(val));
+}
+
+Collector.prototype.visit = function(val) {
+    if (typeof val !== "object" || val === null || this.values.has(val))
+        return;
+    this.values.add(val);
+    if (isClassDesc(val))
+        return this.addClass(val);
+    if (val instanceof JavaException)
+        return this.visit(val.throwable);
+    if (val instanceof Map) {
+        val.forEach(function(v, k) {
+            this.visit(k);
+            this.visit(v);
+        }, this);
+        return;
+    }
+    if (val instanceof Set)
+        return val.forEach(this.visit, this);
+    if (Long.isLong(val) || Buffer.isBuffer(val) || ArrayBuffer.isView(val))
+        return this.addClass(val.class);
+    if (val.class)
+        this.addClass(val.class);
+    if (val instanceof String) {
+        if (val.class && typeof val.class.name === "string")
+            this.entry(val.class.name).constants.add(val.valueOf());
+        return;
+    }
+    if (Array.isArray(val))
+        return val.forEach(this.visit, this);
+    if (val.class && val.extends)
+        return this.visitObject(val);
+    Object.keys(val).forEach(function(key) { this.visit(val[key]); }, this);
+}
+
+// The data of each class in the hierarchy of an object, in obj.extends,
+// has the fields of the class and the views added by its post-processor.
+Collector.prototype.visitObject = function(obj) {
+    var values = Object.create(null);
+    var last = null;
+    for (var cls = obj.class; cls && isClassDesc(cls); cls = cls.super) {
+        var data = obj.extends[cls.name];
+        if (cls.isProxy || !data)
+            continue;
+        var entry = this.entry(cls.name);
+        last = last || entry;
+        ++entry.objects;
+        var declared = Object.create(null);
+        cls.fields.forEach(function(field) { declared[field.name] = true; });
+        Object.keys(data).forEach(function(key) {
+            var val = data[key];
+            if (!(key in values))
+                values[key] = val;
+            if (declared[key]) {
+                var member = entry.fields.get(key);
+                var type = runtimeClass(val);
+                if (type && !isPrimitive(member.type))
+                    member.classes.add(type);
+            } else {
+                this.addView(entry, key, val);
+            }
+            this.visit(val);
+        }, this);
+    }
+    // Views set on the object itself, e.g. to shadow a field.
+    Object.keys(obj).forEach(function(key) {
+        if (last && !(key in values && Object.is(obj[key], values[key])))
+            this.addView(last, key, obj[key]);
+        this.visit(obj[key]);
+    }, this);
+}
+
+function sorted(set) {
+    return Array.from(set).sort();
+}
+
+Collector.prototype.schema = function() {
+    var classes = {};
+    sorted(this.classes.keys()).forEach(function(name) {
+        var entry = this.classes.get(name);
+        var res = classes[name] = {
+            serialVersionUIDs: entry.serialVersionUIDs.slice(),
+            super: entry.super,
+            isEnum: entry.isEnum,
+        };
+        if (entry.isEnum)
+            res.constants = Array.from(entry.constants);
+        res.fields = [];
+        entry.fields.forEach(function(member, name) {
+            var field = {name: name, type: member.type};
+            if (member.count < entry.versions)
+                field.optional = true;
+            if (member.classes.size)
+                field.classes = sorted(member.classes);
+            res.fields.push(field);
+        });
+        res.views = [];
+        entry.views.forEach(function(member, name) {
+            var view = {name: name, types: sorted(member.types)};
+            if (member.classes.size)
+                view.classes = sorted(member.classes);
+            if (member.count < entry.objects)
+                view.optional = true;
+            res.views.push(view);
+        });
+    }, this);
+    return {classes: classes};
+}
+
+// The schema of the classes found in the given values,
+// e.g. the results of parsing one or several streams.
+function extractSchema(values) {
+    var collector = new Collector();
+    collector.visit(values);
+    return collector.schema();
+}
+
+// Names which the generated declarations use, or which TypeScript reserves.
+var reserved = [
+    "JavaField", "JavaClass", "JavaObject", "JavaEnum",
+    "Long", "Buffer", "Date", "Map", "Set", "Array", "String", "Omit",
+    "Int8Array", "Uint16Array", "Float64Array", "Float32Array",
+    "Int32Array", "BigInt64Array", "Int16Array",
+    "any", "bigint", "boolean", "never", "null", "number", "object",
+    "string", "symbol", "undefined", "unknown", "void",
+    "await", "debugger", "delete", "export", "function", "in",
+    "let", "typeof", "var", "with", "yield",
+];
+
+function identifier(name) {
+    name = name.replace(/[^\w$]/g, "_");
+    return /^[0-9]/.test(name) ? "_" + name : name;
+}
+
+// Interfaces are named by the simple class name where that is unique,
+// otherwise by the full class name with the dots replaced.
+function interfaceNames(classNames) {
+    var simple = classNames.map(function(name) {
+        return identifier(name.slice(name.lastIndexOf(".") + 1));
+    });
+    var counts = Object.create(null);
+    simple.forEach(function(id) { counts[id] = (counts[id] || 0) + 1; });
+    var used = Object.create(null);
+    reserved.forEach(function(id) { used[id] = true; });
+    var res = Object.create(null);
+    classNames.forEach(function(name, i) {
+        var id = simple[i];
+        if (counts[id] > 1 || used[id])
+            id = identifier(name);
+        for (var n = 2, base = id; used[id]; ++n)
+            id = base + "_" + n;
+        used[id] = true;
+        res[name] = id;
+    });
+    return res;
+}
+
+function propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+var kindTypes = {
+    Array: "unknown[]",
+    Map: "Map<unknown, unknown>",
+    Set: "Set<unknown>",
+};
+
+function Generator(schema, options) {
+    this.schema = schema;
+    this.options = options;
+    this.names = interfaceNames(Object.keys(schema.classes));
+    this.usesLong = false;
+}
+
+// The TypeScript type for values of a Java type like int or java.lang.String[].
+Generator.prototype.type = function(type) {
+    if (type.slice(-2) === "[]") {
+        var elem = type.slice(0, -2);
+        if (this.options.typedArrays && isPrimitive(elem)) {
+            var sig = Object.keys(primitiveNames).filter(function(key) {
+                return primitiveNames[key] === elem;
+            })[0];
+            var TypedArray = typed.arrayType("[" + sig);
+            if (TypedArray)
+                return TypedArray.name;
+        }
+        return "Array<" + this.nullable(elem) + ">";
+    }
+    switch (type) {
+        case "byte":
+        case "short":
+        case "int":
+        case "float":
+        case "double":
+            return "number";
+        case "char":
+        case "java.lang.String":
+            return "string";
+        case "boolean":
+            return "boolean";
+        case "long":
+            return this.longType();
+        case "java.lang.Class":
+            return "JavaClass";
+    }
+    return this.names[type] || "unknown";
+}
+
+Generator.prototype.longType = function() {
+    switch (this.options.longs) {
+        case "bigint":
+            return "bigint";
+        case "number":
+            return "number | bigint";
+        default:
+            this.usesLong = true;
+            return "Long";
+    }
+}
+
+Generator.prototype.nullable = function(type) {
+    var res = this.type(type);
+    return isPrimitive(type) || res === "unknown" ? res : res + " | null";
+}
+
+Generator.prototype.union = function(types, classes) {
+    var list = [];
+    var add = function(type) {
+        if (list.indexOf(type) === -1)
+            list.push(type);
+    };
+    (classes || []).forEach(function(cls) { add(this.type(cls)); }, this);
+    types.forEach(function(kind) {
+        // The schema is usually extracted with the default longs option.
+        add(kind === "Long" ? this.longType() : kindTypes[kind] || kind);
+    }, this);
+    return list.indexOf("unknown") !== -1 ? "unknown" : list.join(" | ");
+}
+
+Generator.prototype.fieldType = function(field) {
+    // The classes actually found are more specific than the declared type.
+    if (field.classes && !isPrimitive(field.type))
+        return this.union(["null"], field.classes);
+    return this.nullable(field.type);
+}
+
+// The members of a class, i.e. its fields and views, by name.
+Generator.prototype.members = function(cls) {
+    var res = Object.create(null);
+    cls.fields.forEach(function(field) {
+        res[field.name] = {optional: !!field.optional, type: this.fieldType(field)};
+    }, this);
+    cls.views.forEach(function(view) {
+        var type = this.union(view.types, view.classes);
+        var field = res[view.name];
+        // A view shadowing a field may be missing from some objects.
+        if (field)
+            type = field.type === "unknown" || type === "unknown" ? "unknown" : field.type + " | " + type;
+        res[view.name] = {optional: !!view.optional && !field, type: type};
+    }, this);
+    return res;
+}
+
+Generator.prototype.inherited = function(cls) {
+    var res = Object.create(null);
+    for (var sup = this.schema.classes[cls.super]; sup; sup = this.schema.classes[sup.super]) {
+        var members = this.members(sup);
+        for (var name in members) {
+            if (!(name in res))
+                res[name] = members[name];
+        }
+    }
+    return res;
+}
+
+Generator.prototype.declaration = function(name) {
+    var cls = this.schema.classes[name];
+    var lines = ["/** " + name + ", serialVersionUID " + cls.serialVersionUIDs.join(", ") + " */"];
+    var id = this.names[name];
+    if (cls.isEnum) {
+        var constants = (cls.constants || []).map(function(c) { return JSON.stringify(c); });
+        lines.push("export interface " + id + " extends JavaEnum" +
+            (constants.length ? "<" + constants.join(" | ") + ">" : "") + " {}");
+        return lines;
+    }
+    var members = this.members(cls);
+    var base = "JavaObject";
+    if (this.names[cls.super] && !this.schema.classes[cls.super].isEnum) {
+        base = this.names[cls.super];
+        // Fields hiding fields of a super class may have a different type.
+        var inherited = this.inherited(cls);
+        var hidden = Object.keys(members).filter(function(key) {
+            return key in inherited && inherited[key].type !== members[key].type;
+        });
+        if (hidden.length)
+            base = "Omit<" + base + ", " + hidden.map(function(key) { return JSON.stringify(key); }).join(" | ") + ">";
+    }
+    var keys = Object.keys(members);
+    if (!keys.length) {
+        lines.push("export interface " + id + " extends " + base + " {}");
+        return lines;
+    }
+    lines.push("export interface " + id + " extends " + base + " {");
+    keys.forEach(function(key) {
+        var member = members[key];
+        lines.push("    " + propertyName(key) + (member.optional ? "?: " : ": ") + member.type + ";");
+    });
+    lines.push("}");
+    return lines;
+}
+
+var preamble = [
+    "export interface JavaField {",
+    "    type: string;",
+    "    name: string;",
+    "    className?: string;",
+    "}",
+    "",
+    "export interface JavaClass {",
+    "    name: string | null;",
+    "    serialVersionUID: string;",
+    "    flags: number;",
+    "    isEnum: boolean;",
+    "    fields: JavaField[];",
+    "    annotations: unknown[];",
+    "    super: JavaClass | null;",
+    "    isProxy?: boolean;",
+    "    interfaces?: string[];",
+    "}",
+    "",
+    "export interface JavaObject {",
+    "    readonly class: JavaClass;",
+    "    readonly extends: { [className: string]: { [name: string]: unknown } };",
+    "}",
+    "",
+    "export interface JavaEnum<T extends string = string> extends String {",
+    "    readonly class: JavaClass;",
+    "    readonly extends: {};",
+    "    valueOf(): T;",
+    "    toString(): T;",
+    "}",
+];
+
+Generator.prototype.generate = function() {
+    var body = [];
+    Object.keys(this.schema.classes).forEach(function(name) {
+        body.push("");
+        body.push.apply(body, this.declaration(name));
+    }, this);
+    var head = ["// Generated by java-deserialization from serialized Java objects.", ""];
+    if (this.usesLong)
+        head.push("type Long = import(\"long\");", "");
+    return head.concat(preamble, body).join("\n") + "\n";
+}
+
+// TypeScript declarations for the objects described by a schema,
+// as parse returns them with the given longs and typedArrays options.
+function toTypeScript(schema, options) {
+    return new Generator(schema, options || {}).generate();
+}
+
+module.exports.extractSchema = extractSchema;
+module.exports.toTypeScript = toTypeScript;
+// For the other modules and the command line tool.
+module.exports.isClassDesc = isClassDesc;
+module.exports.className = className;
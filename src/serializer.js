@@ -0,0 +1,426 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// The inverse of parser.js: turns what the parser returns back into a stream.
+// See http://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html for reference
+
+"use strict";
+
+var assert = require("assert");
+var Long = require("long");
+var JavaException = require("./exception.js");
+var mutf8 = require("./mutf8.js");
+var typed = require("./typed.js");
+var registry = require("./registry.js");
+var isClassDesc = require("./schema.js").isClassDesc;
+
+var TC_NULL = 0x70;
+var TC_REFERENCE = 0x71;
+var TC_CLASSDESC = 0x72;
+var TC_OBJECT = 0x73;
+var TC_STRING = 0x74;
+var TC_ARRAY = 0x75;
+var TC_CLASS = 0x76;
+var TC_BLOCKDATA = 0x77;
+var TC_ENDBLOCKDATA = 0x78;
+var TC_RESET = 0x79;
+var TC_BLOCKDATALONG = 0x7a;
+var TC_EXCEPTION = 0x7b;
+var TC_LONGSTRING = 0x7c;
+var TC_PROXYCLASSDESC = 0x7d;
+var TC_ENUM = 0x7e;
+
+function Serializer(objects) {
+    this.chunks = [];
+    this.clearHandles();
+    this.magic();
+    this.version();
+    // Replay resets recorded by the parser, as indices into the list.
+    var resets = objects.resets || [];
+    var r = 0;
+    for (var i = 0; i <= objects.length; ++i) {
+        for (; r < resets.length && resets[r] <= i; ++r)
+            this.reset();
+        if (i < objects.length)
+            this.content(objects[i]);
+    }
+    this.buf = Buffer.concat(this.chunks);
+}
+
+Serializer.prototype.clearHandles = function() {
+    this.nextHandle = 0x7e0000;
+    // Objects, arrays, enum constants and class descriptors by identity.
+    this.handles = new Map();
+    // Class objects (TC_CLASS) share their JS object with the descriptor,
+    // but have a handle of their own.
+    this.classHandles = new Map();
+    // Strings are primitives in JS, so the best we can do is share by value.
+    this.strings = new Map();
+}
+
+Serializer.prototype.write = function(len, writer, value) {
+    var buf = Buffer.alloc(len);
+    writer.call(buf, value, 0);
+    this.chunks.push(buf);
+}
+
+Serializer.prototype.writeUInt8 = function(value) {
+    this.write(1, Buffer.prototype.writeUInt8, value);
+}
+
+Serializer.prototype.writeInt8 = function(value) {
+    this.write(1, Buffer.prototype.writeInt8, value);
+}
+
+Serializer.prototype.writeUInt16 = function(value) {
+    this.write(2, Buffer.prototype.writeUInt16BE, value);
+}
+
+Serializer.prototype.writeInt16 = function(value) {
+    this.write(2, Buffer.prototype.writeInt16BE, value);
+}
+
+Serializer.prototype.writeUInt32 = function(value) {
+    this.write(4, Buffer.prototype.writeUInt32BE, value);
+}
+
+Serializer.prototype.writeInt32 = function(value) {
+    this.write(4, Buffer.prototype.writeInt32BE, value);
+}
+
+Serializer.prototype.writeHex = function(hex) {
+    this.chunks.push(Buffer.from(hex, "hex"));
+}
+
+Serializer.prototype.utf = function(str) {
+    var buf = mutf8.encode(str);
+    if (buf.length > 0xffff)
+        throw Error("String too long for a short UTF string");
+    this.writeUInt16(buf.length);
+    this.chunks.push(buf);
+}
+
+Serializer.prototype.magic = function() {
+    this.writeUInt16(0xaced);
+}
+
+Serializer.prototype.version = function() {
+    this.writeUInt16(5);
+}
+
+Serializer.prototype.content = function(obj) {
+    if (obj === null || obj === undefined)
+        return this.writeNull();
+    if (typeof obj === "string")
+        return this.writeString(obj);
+    if (typeof obj !== "object")
+        throw Error("Can't serialize " + typeof obj + " as an object");
+    if (obj instanceof JavaException)
+        return this.writeException(obj);
+    if (!Object.prototype.hasOwnProperty.call(obj, "class")) {
+        if (isClassDesc(obj))
+            return this.writeClass(obj);
+        throw Error("Don't know how to serialize an object without class");
+    }
+    if (this.reference(this.handles, obj))
+        return;
+    if (obj instanceof String)
+        return this.writeEnum(obj);
+    if (Array.isArray(obj) || ArrayBuffer.isView(obj))
+        return this.writeArray(obj);
+    return this.writeObject(obj);
+}
+
+Serializer.prototype.annotations = function(annotations) {
+    for (var i = 0; i < annotations.length; ++i) {
+        var annotation = annotations[i];
+        if (Buffer.isBuffer(annotation))
+            this.writeBlockData(annotation);
+        else
+            this.content(annotation);
+    }
+    this.writeUInt8(TC_ENDBLOCKDATA);
+}
+
+// Protocol version 1 has no block data framing, so bytes get written as they are.
+Serializer.prototype.externalContent = function(data) {
+    for (var i = 0; i < data.length; ++i) {
+        if (Buffer.isBuffer(data[i]))
+            this.chunks.push(data[i]);
+        else
+            this.content(data[i]);
+    }
+}
+
+Serializer.prototype.reference = function(handles, obj) {
+    var handle = handles.get(obj);
+    if (handle === undefined)
+        return false;
+    this.writeUInt8(TC_REFERENCE);
+    this.writeInt32(handle);
+    return true;
+}
+
+Serializer.prototype.classDesc = function(cls) {
+    if (cls === null || cls === undefined)
+        return this.writeNull();
+    if (this.reference(this.handles, cls))
+        return;
+    if (cls.isProxy)
+        return this.writeProxyClassDesc(cls);
+    this.writeClassDesc(cls);
+}
+
+Serializer.prototype.writeClassDesc = function(cls) {
+    this.writeUInt8(TC_CLASSDESC);
+    this.utf(cls.name);
+    assert.strictEqual(cls.serialVersionUID.length, 16,
+        "serialVersionUID must be 16 hex digits");
+    this.writeHex(cls.serialVersionUID);
+    this.newHandle(this.handles, cls);
+    this.writeUInt8(cls.flags);
+    this.writeUInt16(cls.fields.length);
+    for (var i = 0; i < cls.fields.length; ++i)
+        this.fieldDesc(cls.fields[i]);
+    this.annotations(cls.annotations || []);
+    this.classDesc(cls.super);
+}
+
+Serializer.prototype.writeProxyClassDesc = function(cls) {
+    this.writeUInt8(TC_PROXYCLASSDESC);
+    this.newHandle(this.handles, cls);
+    this.writeInt32(cls.interfaces.length);
+    for (var i = 0; i < cls.interfaces.length; ++i)
+        this.utf(cls.interfaces[i]);
+    this.annotations(cls.annotations || []);
+    this.classDesc(cls.super);
+}
+
+Serializer.prototype.fieldDesc = function(field) {
+    this.writeUInt8(field.type.charCodeAt(0));
+    this.utf(field.name);
+    if ("[L".indexOf(field.type) !== -1)
+        this.content(field.className);
+}
+
+Serializer.prototype.writeClass = function(cls) {
+    if (this.reference(this.classHandles, cls))
+        return;
+    this.writeUInt8(TC_CLASS);
+    this.classDesc(cls);
+    this.newHandle(this.classHandles, cls);
+}
+
+Serializer.prototype.writeObject = function(obj) {
+    this.writeUInt8(TC_OBJECT);
+    this.classDesc(obj.class);
+    this.newHandle(this.handles, obj);
+    var chain = [];
+    for (var cls = obj.class; cls; cls = cls.super)
+        chain.unshift(cls);
+    // The visible property of a given name belongs to the most derived class
+    // declaring it, the same way the parser assigned it.
+    var owners = {};
+    for (var i = 0; i < chain.length; ++i) {
+        for (var j = 0; j < chain[i].fields.length; ++j)
+            owners[chain[i].fields[j].name] = chain[i];
+    }
+    for (i = 0; i < chain.length; ++i)
+        this.classdata(chain[i], this.fieldValues(chain[i], obj, owners));
+}
+
+Serializer.prototype.fieldValues = function(cls, obj, owners) {
+    var vals = {};
+    var stored = obj.extends && obj.extends[cls.name] || obj;
+    for (var key in stored)
+        vals[key] = stored[key];
+    for (var i = 0; i < cls.fields.length; ++i) {
+        var name = cls.fields[i].name;
+        if (owners[name] === cls && name in obj && !isView(obj[name]))
+            vals[name] = obj[name];
+    }
+    return vals;
+}
+
+// Post-processed views like list or map may shadow a field of the same name,
+// but they can't be written as field values.
+function isView(val) {
+    return val instanceof Map || val instanceof Set ||
+        (Array.isArray(val) && !val.class);
+}
+
+Serializer.prototype.classdata = function(cls, fields) {
+    var classdata = registry.lookup(this, "classdata", cls) || this.values;
+    switch (cls.flags & 0x0f) {
+        case 0x02: // SC_SERIALIZABLE without SC_WRITE_METHOD
+            return this.values(cls, fields);
+        case 0x03: // SC_SERIALIZABLE with SC_WRITE_METHOD
+            classdata.call(this, cls, fields);
+            return this.annotations(fields["@"] || []);
+        case 0x04: // SC_EXTERNALIZABLE without SC_BLOCKDATA
+            return this.externalContent(fields["@"] || []);
+        case 0x0c: // SC_EXTERNALIZABLE with SC_BLOCKDATA
+            return this.annotations(fields["@"] || []);
+        default:
+            throw Error("Don't know how to serialize class with flags 0x" + cls.flags.toString(16));
+    }
+}
+
+Serializer.prototype.writeArray = function(arr) {
+    var classDesc = arr.class;
+    this.writeUInt8(TC_ARRAY);
+    this.classDesc(classDesc);
+    this.newHandle(this.handles, arr);
+    this.writeInt32(arr.length);
+    var TypedArray = typed.arrayType(classDesc.name);
+    if (TypedArray && arr instanceof TypedArray) {
+        this.chunks.push(typed.encode(arr));
+        return;
+    }
+    var handler = this.primHandler(classDesc.name.charAt(1));
+    for (var i = 0; i < arr.length; ++i)
+        handler.call(this, arr[i]);
+}
+
+Serializer.prototype.writeEnum = function(obj) {
+    this.writeUInt8(TC_ENUM);
+    this.classDesc(obj.class);
+    this.newHandle(this.handles, obj);
+    this.content(String(obj));
+}
+
+Serializer.prototype.writeBlockData = function(buf) {
+    if (buf.length <= 0xff) {
+        this.writeUInt8(TC_BLOCKDATA);
+        this.writeUInt8(buf.length);
+    } else {
+        this.writeUInt8(TC_BLOCKDATALONG);
+        this.writeUInt32(buf.length);
+    }
+    this.chunks.push(buf);
+}
+
+Serializer.prototype.writeString = function(str) {
+    var handle = this.strings.get(str);
+    if (handle !== undefined) {
+        this.writeUInt8(TC_REFERENCE);
+        this.writeInt32(handle);
+        return;
+    }
+    var buf = mutf8.encode(str);
+    if (buf.length <= 0xffff) {
+        this.writeUInt8(TC_STRING);
+        this.writeUInt16(buf.length);
+    } else {
+        this.writeUInt8(TC_LONGSTRING);
+        this.writeUInt32(0);
+        this.writeUInt32(buf.length);
+    }
+    this.chunks.push(buf);
+    this.newHandle(this.strings, str);
+}
+
+Serializer.prototype.reset = function() {
+    this.writeUInt8(TC_RESET);
+    this.clearHandles();
+}
+
+Serializer.prototype.writeException = function(exception) {
+    this.writeUInt8(TC_EXCEPTION);
+    this.clearHandles();
+    this.content(exception.throwable);
+    this.clearHandles();
+}
+
+Serializer.prototype.writeNull = function() {
+    this.writeUInt8(TC_NULL);
+}
+
+Serializer.prototype.newHandle = function(handles, obj) {
+    handles.set(obj, this.nextHandle++);
+}
+
+Serializer.prototype.primHandler = function(type) {
+    var handler = this["prim" + type];
+    if (!handler)
+        throw Error("Don't know how to write field of type '" + type + "'");
+    return handler;
+}
+
+Serializer.prototype.values = function(cls, vals) {
+    var fields = cls.fields;
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i];
+        var handler = this.primHandler(field.type);
+        handler.call(this, vals[field.name]);
+    }
+}
+
+Serializer.prototype.primB = function(value) {
+    this.writeInt8(value);
+}
+
+Serializer.prototype.primC = function(value) {
+    this.writeUInt16(typeof value === "number" ? value : value.charCodeAt(0));
+}
+
+Serializer.prototype.primD = function(value) {
+    this.write(8, Buffer.prototype.writeDoubleBE, value);
+}
+
+Serializer.prototype.primF = function(value) {
+    this.write(4, Buffer.prototype.writeFloatBE, value);
+}
+
+Serializer.prototype.primI = function(value) {
+    this.writeInt32(value);
+}
+
+Serializer.prototype.primJ = function(value) {
+    var long = Long.isLong(value) ? value
+        : typeof value === "string" || typeof value === "bigint" ? Long.fromString(String(value))
+        : Long.fromNumber(value);
+    this.writeInt32(long.getHighBits());
+    this.writeInt32(long.getLowBits());
+}
+
+Serializer.prototype.primS = function(value) {
+    this.writeInt16(value);
+}
+
+Serializer.prototype.primZ = function(value) {
+    this.writeInt8(value ? 1 : 0);
+}
+
+Serializer.prototype.primL = function(value) {
+    this.content(value);
+}
+
+Serializer.prototype["prim["] = function(value) {
+    this.content(value);
+}
+
+Serializer.registerClassDataWriter = function(className, serialVersionUID, writer) {
+    registry.register(Serializer.prototype, "classdata", className, serialVersionUID, writer);
+}
+
+module.exports = Serializer;
@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var Transform = require("stream").Transform;
+var util = require("util");
+var Parser = require("./parser.js");
+
+// A transform stream which takes the bytes of a serialization stream
+// and emits the top level objects one at a time as they become complete.
+// An item which is incomplete at the end of the data received so far
+// gets parsed again from its beginning once more data is available.
+// To keep that linear for huge items, the next attempt is delayed
+// until the amount of available data has at least doubled.
+function ParserStream(options, parserProto) {
+    Transform.call(this, {readableObjectMode: true});
+    this.parser = Object.create(parserProto || Parser.prototype);
+    this.parser.init(Buffer.alloc(0), options);
+    // Incomplete items get parsed again, so errors can't be recovered from,
+    // nor can truncated items be told from wrong guesses.
+    this.parser.lenient = false;
+    this.parser.guesses = null;
+    this.started = false;
+    this.failed = false;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.needed = 4;
+}
+
+util.inherits(ParserStream, Transform);
+
+// Streams can't emit null, which ends them, so null items become this.
+var NULL = Symbol.for("java-deserialization.null");
+
+ParserStream.prototype._transform = function(chunk, encoding, callback) {
+    if (this.failed)
+        return callback();
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+    if (this.pendingLength < this.needed)
+        return callback();
+    try {
+        this.drain();
+    } catch (err) {
+        return this.fail(err, callback);
+    }
+    callback();
+}
+
+ParserStream.prototype._flush = function(callback) {
+    // Never completing the flush keeps a failed stream from ending,
+    // which older versions of Node would do after the error.
+    if (this.failed)
+        return;
+    try {
+        this.drain();
+        // Anything left over now is really incomplete, so report why.
+        if (!this.started)
+            this.start();
+        if (this.parser.pos < this.parser.buf.length)
+            this.parser.item();
+    } catch (err) {
+        return this.fail(err, callback);
+    }
+    callback();
+}
+
+// The rest of the input can't be trusted, so it gets ignored.
+ParserStream.prototype.fail = function(err, callback) {
+    this.failed = true;
+    callback(err);
+}
+
+ParserStream.prototype.drain = function() {
+    var parser = this.parser;
+    this.pending.unshift(parser.buf.slice(parser.pos));
+    parser.buf = Buffer.concat(this.pending);
+    parser.base += parser.pos;
+    parser.pos = 0;
+    this.pending = [];
+    this.pendingLength = parser.buf.length;
+    if (!this.started) {
+        if (parser.buf.length < 4)
+            return;
+        this.start();
+    }
+    while (parser.pos < parser.buf.length) {
+        var checkpoint = parser.checkpoint();
+        try {
+            parser.item();
+        } catch (err) {
+            if (err.code !== "UNEXPECTED_END")
+                throw err;
+            parser.rollback(checkpoint);
+            this.pendingLength = parser.buf.length - parser.pos;
+            this.needed = Math.max(err.end - parser.base - parser.pos, 2 * this.pendingLength);
+            return;
+        }
+        this.emitItems();
+    }
+    this.pendingLength = 0;
+    this.needed = 1;
+}
+
+ParserStream.prototype.start = function() {
+    this.parser.magic();
+    this.parser.version();
+    this.started = true;
+}
+
+ParserStream.prototype.emitItems = function() {
+    var parser = this.parser;
+    for (var i = 0; i < parser.resets.length; ++i)
+        this.emit("reset");
+    parser.resets.length = 0;
+    for (i = 0; i < parser.contents.length; ++i)
+        this.push(parser.contents[i] === null ? NULL : parser.contents[i]);
+    parser.contents.length = 0;
+}
+
+module.exports = ParserStream;
+module.exports.NULL = NULL;
@@ -0,0 +1,221 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+var Long = require("long");
+var Parser = require("./parser.js");
+var JavaDeserializationError = require("./error.js");
+
+// Longs may be Long objects, BigInts or numbers, depending on the options.
+function toNumber(long) {
+    return Long.isLong(long) ? long.toNumber() : Number(long);
+}
+
+function dateParser(cls, fields, data, obj, input) {
+    fields.date = new Date(toNumber(input.readLong()));
+    return fields;
+}
+
+// The Date part of a Timestamp only has whole seconds, the rest is in nanos.
+function timestampParser(cls, fields, data, obj) {
+    if (obj.date)
+        fields.date = new Date(obj.date.getTime() + Math.floor(fields.nanos / 1000000));
+    return fields;
+}
+
+// The zone field holds a SimpleTimeZone for compatibility with old versions,
+// while the actual zone, if different, follows in the block data.
+function calendarParser(cls, fields, data) {
+    fields.date = new Date(toNumber(fields.time));
+    var zone = data[0] || fields.zone;
+    if (zone)
+        fields.timeZone = zone.ID;
+    return fields;
+}
+
+// Milliseconds since the epoch for a date and time at the given offset.
+function epochMillis(res) {
+    var date = new Date(0);
+    date.setUTCFullYear(res.year, res.month - 1, res.day);
+    date.setUTCHours(res.hour, res.minute, res.second, Math.floor(res.nano / 1000000));
+    return date.getTime() - (res.offset * 1000);
+}
+
+function readDuration(input, res) {
+    res.seconds = input.readLong();
+    res.nanos = input.readInt();
+}
+
+function readInstant(input, res) {
+    readDuration(input, res);
+    res.date = new Date(toNumber(res.seconds) * 1000 + Math.floor(res.nanos / 1000000));
+}
+
+function readLocalDate(input, res) {
+    res.year = input.readInt();
+    res.month = input.readByte();
+    res.day = input.readByte();
+}
+
+// Trailing zero components are left out, marking the last one by its complement.
+function readLocalTime(input, res) {
+    res.hour = input.readByte();
+    res.minute = 0;
+    res.second = 0;
+    res.nano = 0;
+    if (res.hour < 0) {
+        res.hour = ~res.hour;
+        return;
+    }
+    res.minute = input.readByte();
+    if (res.minute < 0) {
+        res.minute = ~res.minute;
+        return;
+    }
+    res.second = input.readByte();
+    if (res.second < 0) {
+        res.second = ~res.second;
+        return;
+    }
+    res.nano = input.readInt();
+}
+
+function readLocalDateTime(input, res) {
+    readLocalDate(input, res);
+    readLocalTime(input, res);
+}
+
+function readZonedDateTime(input, res) {
+    readLocalDateTime(input, res);
+    res.offset = readOffset(input);
+    var zone = {};
+    readZoneId(input, zone);
+    res.zone = zone.id;
+    res.date = new Date(epochMillis(res));
+}
+
+function readZoneId(input, res) {
+    var type = input.readByte();
+    switch (type) {
+        case 7:
+            return readZoneRegion(input, res);
+        case 8:
+            return readZoneOffset(input, res);
+        default:
+            throw new JavaDeserializationError("INVALID_CUSTOM_DATA", "Unknown zone type " + type);
+    }
+}
+
+function readZoneRegion(input, res) {
+    res.id = input.readUTF();
+}
+
+// Offsets are stored in units of 15 minutes where possible.
+function readOffset(input) {
+    var offset = input.readByte();
+    return offset === 127 ? input.readInt() : offset * 900;
+}
+
+function offsetId(offset) {
+    if (offset === 0)
+        return "Z";
+    var abs = Math.abs(offset);
+    var parts = [Math.floor(abs / 3600), Math.floor(abs / 60) % 60];
+    if (abs % 60)
+        parts.push(abs % 60);
+    return (offset < 0 ? "-" : "+") + parts.map(function(part) {
+        return (part < 10 ? "0" : "") + part;
+    }).join(":");
+}
+
+function readZoneOffset(input, res) {
+    res.offset = readOffset(input);
+    res.id = offsetId(res.offset);
+}
+
+function readOffsetTime(input, res) {
+    readLocalTime(input, res);
+    res.offset = readOffset(input);
+}
+
+function readOffsetDateTime(input, res) {
+    readLocalDateTime(input, res);
+    res.offset = readOffset(input);
+    res.date = new Date(epochMillis(res));
+}
+
+function readYear(input, res) {
+    res.year = input.readInt();
+}
+
+function readYearMonth(input, res) {
+    res.year = input.readInt();
+    res.month = input.readByte();
+}
+
+function readMonthDay(input, res) {
+    res.month = input.readByte();
+    res.day = input.readByte();
+}
+
+function readPeriod(input, res) {
+    res.years = input.readInt();
+    res.months = input.readInt();
+    res.days = input.readInt();
+}
+
+// Indexed by the type byte which java.time.Ser writes first.
+var javaTimeTypes = [
+    null,
+    ["Duration", readDuration],
+    ["Instant", readInstant],
+    ["LocalDate", readLocalDate],
+    ["LocalTime", readLocalTime],
+    ["LocalDateTime", readLocalDateTime],
+    ["ZonedDateTime", readZonedDateTime],
+    ["ZoneRegion", readZoneRegion],
+    ["ZoneOffset", readZoneOffset],
+    ["OffsetTime", readOffsetTime],
+    ["OffsetDateTime", readOffsetDateTime],
+    ["Year", readYear],
+    ["YearMonth", readYearMonth],
+    ["MonthDay", readMonthDay],
+    ["Period", readPeriod],
+];
+
+// All java.time types get written as this externalizable proxy class.
+function javaTimeParser(cls, fields, data, obj, input) {
+    var type = input.readByte();
+    var entry = javaTimeTypes[type];
+    if (!entry)
+        throw new JavaDeserializationError("INVALID_CUSTOM_DATA", "Unknown java.time type " + type);
+    fields.type = entry[0];
+    entry[1](input, fields);
+    return fields;
+}
+
+Parser.register("java.util.Date", "686a81014b597419", dateParser);
+Parser.register("java.sql.Timestamp", "2618d5c80153bf65", timestampParser);
+Parser.register("java.util.Calendar", "e6ea4d1ec8dc5b8e", calendarParser);
+Parser.register("java.time.Ser", "955d84ba1b224ab1", javaTimeParser);
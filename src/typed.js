@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2026 Martin von Gagern
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+
+"use strict";
+
+// Typed arrays for Java arrays of primitives, indexed by the element type.
+// Boolean arrays have no typed counterpart and stay plain arrays.
+var types = {
+    B: Int8Array,
+    C: Uint16Array,
+    D: Float64Array,
+    F: Float32Array,
+    I: Int32Array,
+    J: BigInt64Array,
+    S: Int16Array,
+};
+
+var littleEndian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// Convert between the big-endian byte order of Java and the native one.
+function swap(bytes, size) {
+    if (!littleEndian)
+        return;
+    switch (size) {
+        case 2:
+            bytes.swap16();
+            break;
+        case 4:
+            bytes.swap32();
+            break;
+        case 8:
+            bytes.swap64();
+            break;
+    }
+}
+
+// The typed array class for an array class name like "[I", if any.
+function arrayType(className) {
+    return className.length === 2 && className.charAt(0) === "[" ? types[className.charAt(1)] : undefined;
+}
+
+// Copy len elements starting at buf[pos] into a new typed array.
+function decode(TypedArray, buf, pos, len) {
+    var size = TypedArray.BYTES_PER_ELEMENT;
+    var bytes = Buffer.from(new ArrayBuffer(len * size));
+    buf.copy(bytes, 0, pos, pos + bytes.length);
+    swap(bytes, size);
+    return new TypedArray(bytes.buffer, 0, len);
+}
+
+// The bytes of a typed array in the order of the stream.
+function encode(arr) {
+    var bytes = Buffer.from(Buffer.from(arr.buffer, arr.byteOffset, arr.byteLength));
+    swap(bytes, arr.BYTES_PER_ELEMENT);
+    return bytes;
+}
+
+module.exports.arrayType = arrayType;
+module.exports.decode = decode;
+module.exports.encode = encode;
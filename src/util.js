@@ -22,7 +22,9 @@
 
 "use strict";
 
+var Long = require("long");
 var Parser = require("./parser.js");
+var JavaDeserializationError = require("./error.js");
 
 function listParser(cls, fields, data) {
     // var size_or_capacity = data[0].readInt32BE(0);
@@ -30,14 +32,125 @@ function listParser(cls, fields, data) {
     return fields;
 }
 
-function mapParser(cls, fields, data) {
-    var capacity = data[0].readInt32BE(0);
-    var size = data[0].readInt32BE(4);
+// Take over the views of a wrapped collection or map.
+function unwrap(fields, inner) {
+    if (inner) {
+        ["list", "set", "map", "obj"].forEach(function(key) {
+            if (inner[key] !== undefined)
+                fields[key] = inner[key];
+        });
+    }
+    return fields;
+}
+
+function collectionWrapperParser(cls, fields, data) {
+    return unwrap(fields, fields.c);
+}
+
+function listWrapperParser(cls, fields, data, obj) {
+    // The wrapped list is in a field called list, which the view shadows.
+    if (fields.list && fields.list.list)
+        obj.list = fields.list.list;
+    return fields;
+}
+
+function mapWrapperParser(cls, fields, data) {
+    return unwrap(fields, fields.m);
+}
+
+function setFromMapParser(cls, fields, data) {
+    if (fields.m && fields.m.map)
+        fields.set = new Set(fields.m.map.keys());
+    return fields;
+}
+
+function emptyListParser(cls, fields, data) {
+    fields.list = [];
+    return fields;
+}
+
+function emptySetParser(cls, fields, data) {
+    fields.set = new Set();
+    return fields;
+}
+
+function emptyMapParser(cls, fields, data) {
+    return mapEntries(fields, [], 0, 0);
+}
+
+function singletonListParser(cls, fields, data) {
+    fields.list = [fields.element];
+    return fields;
+}
+
+function singletonSetParser(cls, fields, data) {
+    fields.set = new Set([fields.element]);
+    return fields;
+}
+
+function singletonMapParser(cls, fields, data) {
+    return mapEntries(fields, [fields.k, fields.v], 0, 1);
+}
+
+// A few bytes can ask for billions of copies, so without a maxArrayLength
+// option, larger lists are left as their fields n and element.
+var maxCopies = 1 << 20;
+
+function copiesListParser(cls, fields, data) {
+    this.checkLimit("maxArrayLength", fields.n, "Number of copies");
+    if (typeof fields.n !== "number" || (this.options.maxArrayLength === undefined && fields.n > maxCopies))
+        return fields;
+    fields.list = [];
+    for (var i = 0; i < fields.n; ++i)
+        fields.list.push(fields.element);
+    return fields;
+}
+
+function arraysArrayListParser(cls, fields, data) {
+    fields.list = Array.prototype.slice.call(fields.a);
+    return fields;
+}
+
+// Serialized form of List.of, Set.of and Map.of and their relatives.
+function collSerParser(cls, fields, data, obj, input) {
+    var size = input.readInt();
+    var array = readObjects(input, size);
+    switch (fields.tag & 0xff) {
+        case 1: // IMM_LIST
+        case 4: // IMM_LIST_NULLS
+            fields.list = array;
+            break;
+        case 2: // IMM_SET
+            fields.set = new Set(array);
+            break;
+        case 3: // IMM_MAP
+            mapEntries(fields, array, 0, size / 2);
+            break;
+        default:
+            throw new JavaDeserializationError("INVALID_CUSTOM_DATA", "Unknown collection tag " + fields.tag);
+    }
+    return fields;
+}
+
+function vectorParser(cls, fields, data) {
+    fields.list = fields.elementData.slice(0, fields.elementCount);
+    return fields;
+}
+
+function readObjects(input, size) {
+    var res = [];
+    for (var i = 0; i < size; ++i)
+        res.push(input.readObject());
+    return res;
+}
+
+// Collect size key/value pairs, starting at data[start].
+function mapEntries(fields, data, start, size) {
     var map = new Map();
     var obj = {};
     for (var i = 0; i < size; ++i) {
-        var key = data[(2 * i) + 1];
-        var value = data[(2 * i) + 2];
+        var key = data[start + (2 * i)];
+        var value = data[start + (2 * i) + 1];
         map.set(key, value);
         if (typeof key === "string") {
             obj[key] = value;
@@ -48,35 +161,110 @@ function mapParser(cls, fields, data) {
     return fields;
 }
 
-function enumMapParser(cls, fields, data) {
-    var size = data[0].readInt32BE(0);
+function mapParser(cls, fields, data, obj, input) {
+    var capacity = input.readInt();
+    var size = input.readInt();
+    return mapEntries(fields, readObjects(input, 2 * size), 0, size);
+}
+
+function sizedMapParser(cls, fields, data, obj, input) {
+    var size = input.readInt();
+    return mapEntries(fields, readObjects(input, 2 * size), 0, size);
+}
+
+function concurrentHashMapParser(cls, fields, data, obj, input) {
+    // The entries are terminated by a null key and value.
+    var entries = [];
+    var key;
+    while ((key = input.readObject()) !== null)
+        entries.push(key, input.readObject());
+    if (input.readObject() !== null)
+        throw new JavaDeserializationError("INVALID_CUSTOM_DATA", "Expected entries terminated by null");
+    return mapEntries(fields, entries, 0, entries.length / 2);
+}
+
+function enumMapParser(cls, fields, data, obj, input) {
+    var size = input.readInt();
     var map = new Map();
-    var obj = {};
+    var res = {};
     for (var i = 0; i < size; ++i) {
-        var key = data[(2 * i) + 1];
-        var value = data[(2 * i) + 2];
+        var key = input.readObject();
+        var value = input.readObject();
         map.set(key, value);
-        obj[key] = value;
+        res[key] = value;
     }
     fields.map = map;
-    fields.obj = obj;
+    fields.obj = res;
     return fields;
 }
 
-function hashSetParser(cls, fields, data) {
-    var capacity = data[0].readInt32BE(0);
-    var loadFactor = data[0].readFloatBE(4);
-    var size = data[0].readInt32BE(8);
-    if (data.length !== size + 1)
-        throw new Error("Expected " + size + " elements " +
-            "but parsed " + (data.length - 1));
-    fields.set = new Set(data.slice(1));
+function hashSetParser(cls, fields, data, obj, input) {
+    var capacity = input.readInt();
+    var loadFactor = input.readFloat();
+    var size = input.readInt();
+    fields.set = new Set(readObjects(input, size));
+    return fields;
+}
+
+function treeSetParser(cls, fields, data, obj, input) {
+    var comparator = input.readObject();
+    var size = input.readInt();
+    fields.set = new Set(readObjects(input, size));
+    return fields;
+}
+
+function bitSetParser(cls, fields, data) {
+    var set = new Set();
+    fields.bits.forEach(function(word, i) {
+        // The words may be represented as BigInt or number instead of Long.
+        if (!Long.isLong(word))
+            word = Long.fromString(String(word));
+        var low = word.getLowBitsUnsigned();
+        var high = word.getHighBitsUnsigned();
+        for (var bit = 0; bit < 32; ++bit) {
+            if (low & (1 << bit))
+                set.add(64 * i + bit);
+        }
+        for (bit = 0; bit < 32; ++bit) {
+            if (high & (1 << bit))
+                set.add(64 * i + 32 + bit);
+        }
+    });
+    fields.set = set;
     return fields;
 }
 
 Parser.register("java.util.ArrayList", "7881d21d99c7619d", listParser);
 Parser.register("java.util.ArrayDeque", "207cda2e240da08b", listParser);
+Parser.register("java.util.LinkedList", "0c29535d4a608822", listParser);
+Parser.register("java.util.PriorityQueue", "94da30b4fb3f82b1", listParser);
+Parser.register("java.util.concurrent.CopyOnWriteArrayList", "785d9fd546ab90c3", listParser);
+Parser.register("java.util.Vector", "d9977d5b803baf01", vectorParser);
 Parser.register("java.util.Hashtable", "13bb0f25214ae4b8", mapParser);
 Parser.register("java.util.HashMap", "0507dac1c31660d1", mapParser);
+Parser.register("java.util.TreeMap", "0cc1f63e2d256ae6", sizedMapParser);
+Parser.register("java.util.IdentityHashMap", "71a2650133f2e980", sizedMapParser);
+Parser.register("java.util.concurrent.ConcurrentHashMap", "6499de129d87293d", concurrentHashMapParser);
 Parser.register("java.util.EnumMap", "065d7df7be907ca1", enumMapParser);
 Parser.register("java.util.HashSet", "ba44859596b8b734", hashSetParser);
+Parser.register("java.util.TreeSet", "dd98509395ed875b", treeSetParser);
+Parser.register("java.util.BitSet", "6efd887e3934ab21", bitSetParser);
+Parser.register("java.util.Collections$UnmodifiableCollection", "19420080cb5ef71e", collectionWrapperParser);
+Parser.register("java.util.Collections$SynchronizedCollection", "2a61f84d099c99b5", collectionWrapperParser);
+Parser.register("java.util.Collections$CheckedCollection", "15e96dfd18e6cc6f", collectionWrapperParser);
+Parser.register("java.util.Collections$UnmodifiableList", "fc0f2531b5ec8e10", listWrapperParser);
+Parser.register("java.util.Collections$SynchronizedList", "9463efe38344107c", listWrapperParser);
+Parser.register("java.util.Collections$CheckedList", "00e7ce7692c45f7c", listWrapperParser);
+Parser.register("java.util.Collections$UnmodifiableMap", "f1a5a8fe74f50742", mapWrapperParser);
+Parser.register("java.util.Collections$SynchronizedMap", "1b73f9094b4b397b", mapWrapperParser);
+Parser.register("java.util.Collections$CheckedMap", "4fb2bcdf0d186368", mapWrapperParser);
+Parser.register("java.util.Collections$SetFromMap", "2210b25045f21fc4", setFromMapParser);
+Parser.register("java.util.Collections$EmptyList", "7ab817b43ca79ede", emptyListParser);
+Parser.register("java.util.Collections$EmptySet", "15f5721db403cb28", emptySetParser);
+Parser.register("java.util.Collections$EmptyMap", "593614855adce7d0", emptyMapParser);
+Parser.register("java.util.Collections$SingletonList", "2aef29103ca79b97", singletonListParser);
+Parser.register("java.util.Collections$SingletonSet", "2c52419829c0b1bf", singletonSetParser);
+Parser.register("java.util.Collections$SingletonMap", "9f230991717f6b91", singletonMapParser);
+Parser.register("java.util.Collections$CopiesList", "26033c45b17003f8", copiesListParser);
+Parser.register("java.util.Arrays$ArrayList", "d9a43cbecd8806d2", arraysArrayListParser);
+Parser.register("java.util.CollSer", "578eabb63a1ba811", collSerParser);
@@ -424,12 +424,23 @@ class TestCases extends GenerateTestCases {
         lst.add("foo");
         lst.add(123);
         writeObject(lst);
+        checkList();
+    }
+
+    private void checkList() {
         checkArray("itm.list");
         checkLength("itm.list", 2);
         checkStrictEqual("itm.list[0]", "'foo'");
         checkStrictEqual("itm.list[1].value", "123");
     }
 
+    private java.util.List<Object> fooList() {
+        java.util.List<Object> lst = new java.util.ArrayList<>();
+        lst.add("foo");
+        lst.add(123);
+        return lst;
+    }
+
     @SerializationTestCase(description="ArrayList")
     public void arrayList() throws Exception {
         listTestCase(new java.util.ArrayList<Object>(8));
@@ -450,4 +461,299 @@ class TestCases extends GenerateTestCases {
         checkStrictEqual("itm.set.size", "2");
         checkThat("itm.set.has('foo')");
     }
+
+    @SerializationTestCase(description="LinkedList")
+    public void linkedList() throws Exception {
+        listTestCase(new java.util.LinkedList<Object>());
+    }
+
+    @SerializationTestCase(description="Vector")
+    public void vector() throws Exception {
+        listTestCase(new java.util.Vector<Object>());
+    }
+
+    @SerializationTestCase(description="Stack")
+    public void stack() throws Exception {
+        listTestCase(new java.util.Stack<Object>());
+    }
+
+    @SerializationTestCase(description="CopyOnWriteArrayList")
+    public void copyOnWriteArrayList() throws Exception {
+        listTestCase(new java.util.concurrent.CopyOnWriteArrayList<Object>());
+    }
+
+    @SerializationTestCase(description="PriorityQueue")
+    public void priorityQueue() throws Exception {
+        java.util.PriorityQueue<String> q = new java.util.PriorityQueue<>();
+        q.add("foo");
+        q.add("bar");
+        q.add("baz");
+        writeObject(q);
+        checkArray("itm.list");
+        checkLength("itm.list", 3);
+        // The list is in the order of the heap, with the head first.
+        checkStrictEqual("itm.list.join()", "'bar,foo,baz'");
+    }
+
+    private void mapTestCase(java.util.Map<Object, Object> m)
+        throws Exception
+    {
+        m.put("foo", 123);
+        m.put("bar", "baz");
+        writeObject(m);
+        checkMap();
+    }
+
+    private void checkMap() {
+        checkStrictEqual("itm.obj.bar", "'baz'");
+        checkStrictEqual("itm.obj.foo.value", "123");
+        checkKeys("itm.obj", "'foo', 'bar'");
+        checkInstanceof("itm.map", "Map");
+        checkStrictEqual("itm.map.get('bar')", "'baz'");
+        checkStrictEqual("itm.map.get('foo').value", "123");
+        checkStrictEqual("itm.map.size", "2");
+    }
+
+    @SerializationTestCase(description="LinkedHashMap")
+    public void linkedHashMap() throws Exception {
+        mapTestCase(new java.util.LinkedHashMap<Object, Object>());
+        checkStrictEqual("Array.from(itm.map.keys()).join()", "'foo,bar'");
+    }
+
+    @SerializationTestCase(description="TreeMap")
+    public void treeMap() throws Exception {
+        mapTestCase(new java.util.TreeMap<Object, Object>());
+        checkStrictEqual("Array.from(itm.map.keys()).join()", "'bar,foo'");
+    }
+
+    @SerializationTestCase(description="IdentityHashMap")
+    public void identityHashMap() throws Exception {
+        mapTestCase(new java.util.IdentityHashMap<Object, Object>());
+    }
+
+    @SerializationTestCase(description="ConcurrentHashMap")
+    public void concurrentHashMap() throws Exception {
+        mapTestCase(new java.util.concurrent.ConcurrentHashMap<Object, Object>());
+    }
+
+    @SerializationTestCase(description="Properties")
+    public void properties() throws Exception {
+        mapTestCase(new java.util.Properties());
+    }
+
+    @SerializationTestCase(description="LinkedHashSet")
+    public void linkedHashSet() throws Exception {
+        java.util.LinkedHashSet<Object> set = new java.util.LinkedHashSet<>();
+        set.add("foo");
+        set.add(123);
+        writeObject(set);
+        checkInstanceof("itm.set", "Set");
+        checkStrictEqual("itm.set.size", "2");
+        checkStrictEqual("Array.from(itm.set)[0]", "'foo'");
+        checkStrictEqual("Array.from(itm.set)[1].value", "123");
+    }
+
+    @SerializationTestCase(description="TreeSet")
+    public void treeSet() throws Exception {
+        java.util.TreeSet<String> set = new java.util.TreeSet<>();
+        set.add("foo");
+        set.add("bar");
+        writeObject(set);
+        checkInstanceof("itm.set", "Set");
+        checkStrictEqual("Array.from(itm.set).join()", "'bar,foo'");
+    }
+
+    @SerializationTestCase(description="BitSet")
+    public void bitSet() throws Exception {
+        java.util.BitSet bits = new java.util.BitSet();
+        bits.set(1);
+        bits.set(5);
+        bits.set(64);
+        bits.set(130);
+        writeObject(bits);
+        checkInstanceof("itm.set", "Set");
+        checkStrictEqual("Array.from(itm.set).join()", "'1,5,64,130'");
+    }
+
+    private java.util.Map<Object, Object> fooMap() {
+        java.util.Map<Object, Object> m = new java.util.HashMap<>();
+        m.put("foo", 123);
+        m.put("bar", "baz");
+        return m;
+    }
+
+    @SerializationTestCase(description="Collections.unmodifiableList")
+    public void unmodifiableList() throws Exception {
+        writeObject(java.util.Collections.unmodifiableList(fooList()));
+        checkList();
+    }
+
+    @SerializationTestCase(description="Collections.synchronizedList")
+    public void synchronizedList() throws Exception {
+        writeObject(java.util.Collections.synchronizedList(fooList()));
+        checkList();
+    }
+
+    @SerializationTestCase(description="Collections.unmodifiableMap")
+    public void unmodifiableMap() throws Exception {
+        writeObject(java.util.Collections.unmodifiableMap(fooMap()));
+        checkMap();
+    }
+
+    @SerializationTestCase(description="Collections.synchronizedMap")
+    public void synchronizedMap() throws Exception {
+        writeObject(java.util.Collections.synchronizedMap(fooMap()));
+        checkMap();
+    }
+
+    @SerializationTestCase(description="empty collections")
+    public void emptyCollections() throws Exception {
+        writeObject(java.util.Collections.emptyList());
+        writeObject(java.util.Collections.emptySet());
+        writeObject(java.util.Collections.emptyMap());
+        args = "list, set, map";
+        checkArray("list.list");
+        checkLength("list.list", 0);
+        checkInstanceof("set.set", "Set");
+        checkStrictEqual("set.set.size", "0");
+        checkInstanceof("map.map", "Map");
+        checkStrictEqual("map.map.size", "0");
+        checkKeys("map.obj", "");
+    }
+
+    @SerializationTestCase(description="singleton collections")
+    public void singletonCollections() throws Exception {
+        writeObject(java.util.Collections.singletonList("foo"));
+        writeObject(java.util.Collections.singleton("foo"));
+        writeObject(java.util.Collections.singletonMap("foo", "bar"));
+        args = "list, set, map";
+        checkStrictEqual("list.list.join()", "'foo'");
+        checkInstanceof("set.set", "Set");
+        checkStrictEqual("Array.from(set.set).join()", "'foo'");
+        checkStrictEqual("map.map.get('foo')", "'bar'");
+        checkStrictEqual("map.obj.foo", "'bar'");
+    }
+
+    @SerializationTestCase(description="Collections.nCopies")
+    public void nCopies() throws Exception {
+        writeObject(java.util.Collections.nCopies(3, "foo"));
+        checkStrictEqual("itm.list.join()", "'foo,foo,foo'");
+    }
+
+    @SerializationTestCase(description="Arrays.asList")
+    public void arraysAsList() throws Exception {
+        writeObject(java.util.Arrays.asList("foo", 123));
+        checkList();
+    }
+
+    @SerializationTestCase(description="List.of")
+    public void listOf() throws Exception {
+        writeObject(java.util.List.of("foo", 123));
+        checkList();
+    }
+
+    @SerializationTestCase(description="Set.of")
+    public void setOf() throws Exception {
+        writeObject(java.util.Set.of("foo", "bar"));
+        checkInstanceof("itm.set", "Set");
+        checkStrictEqual("itm.set.size", "2");
+        checkThat("itm.set.has('foo')");
+        checkThat("itm.set.has('bar')");
+    }
+
+    @SerializationTestCase(description="Map.of")
+    public void mapOf() throws Exception {
+        writeObject(java.util.Map.of("foo", 123, "bar", "baz"));
+        checkMap();
+    }
+
+    @SerializationTestCase(description="BigInteger and BigDecimal")
+    public void bigNumbers() throws Exception {
+        writeObject(new java.math.BigInteger("-123456789012345678901234567890"));
+        writeObject(new java.math.BigDecimal("-12345.678"));
+        args = "bi, bd";
+        checkStrictEqual("bi.signum", "-1");
+        checkStrictEqual("bi.magnitude.length", "13");
+        checkStrictEqual("bd.scale", "3");
+        checkStrictEqual("bd.intVal.signum", "-1");
+        checkStrictEqual("bd.intVal.magnitude.join()", "'-68,97,78'");
+    }
+
+    @SerializationTestCase(description="Date and Calendar")
+    public void dates() throws Exception {
+        writeObject(new java.util.Date(1234567890123L));
+        java.sql.Timestamp ts = new java.sql.Timestamp(1234567890000L);
+        ts.setNanos(123456789);
+        writeObject(ts);
+        java.util.GregorianCalendar cal = new java.util.GregorianCalendar(
+            new java.util.SimpleTimeZone(3600000, "Test"), java.util.Locale.US);
+        cal.setTimeInMillis(1234567890123L);
+        cal.get(java.util.Calendar.YEAR);
+        writeObject(cal);
+        args = "date, ts, cal";
+        checkInstanceof("date.date", "Date");
+        checkStrictEqual("date.date.getTime()", "1234567890123");
+        checkStrictEqual("ts.date.getTime()", "1234567890123");
+        checkStrictEqual("ts.nanos", "123456789");
+        checkStrictEqual("cal.date.getTime()", "1234567890123");
+        checkStrictEqual("cal.timeZone", "'Test'");
+        checkStrictEqual("cal.zone.rawOffset", "3600000");
+    }
+
+    @SerializationTestCase(description="java.time values")
+    public void javaTimeValues() throws Exception {
+        writeObject(java.time.Instant.ofEpochSecond(1234567890L, 123456789L));
+        writeObject(java.time.Duration.ofSeconds(3723L, 5L));
+        writeObject(java.time.LocalDate.of(2024, 2, 29));
+        writeObject(java.time.LocalTime.of(12, 30));
+        writeObject(java.time.LocalDateTime.of(2024, 2, 29, 12, 34, 56, 789000000));
+        writeObject(java.time.Period.of(1, 2, 3));
+        args = "instant, duration, localDate, localTime, localDateTime, period";
+        checkStrictEqual("instant.type", "'Instant'");
+        checkThat("instant.seconds.equals(1234567890)");
+        checkStrictEqual("instant.nanos", "123456789");
+        checkStrictEqual("instant.date.getTime()", "1234567890123");
+        checkStrictEqual("duration.type", "'Duration'");
+        checkThat("duration.seconds.equals(3723)");
+        checkStrictEqual("duration.nanos", "5");
+        checkStrictEqual("localDate.type", "'LocalDate'");
+        checkStrictEqual("localDate.year", "2024");
+        checkStrictEqual("localDate.month", "2");
+        checkStrictEqual("localDate.day", "29");
+        checkStrictEqual("localTime.type", "'LocalTime'");
+        checkStrictEqual("localTime.hour", "12");
+        checkStrictEqual("localTime.minute", "30");
+        checkStrictEqual("localTime.second", "0");
+        checkStrictEqual("localDateTime.type", "'LocalDateTime'");
+        checkStrictEqual("localDateTime.day", "29");
+        checkStrictEqual("localDateTime.second", "56");
+        checkStrictEqual("localDateTime.nano", "789000000");
+        checkStrictEqual("period.type", "'Period'");
+        checkStrictEqual("period.years", "1");
+        checkStrictEqual("period.months", "2");
+        checkStrictEqual("period.days", "3");
+    }
+
+    @SerializationTestCase(description="java.time zones")
+    public void javaTimeZones() throws Exception {
+        writeObject(java.time.ZonedDateTime.of(2024, 2, 29, 12, 34, 56, 0,
+            java.time.ZoneId.of("Europe/Berlin")));
+        writeObject(java.time.OffsetDateTime.of(2024, 2, 29, 12, 0, 0, 0,
+            java.time.ZoneOffset.ofHoursMinutesSeconds(5, 30, 15)));
+        writeObject(java.time.ZoneId.of("Europe/Berlin"));
+        writeObject(java.time.ZoneOffset.ofHoursMinutes(5, 30));
+        args = "zoned, offsetDateTime, region, offset";
+        checkStrictEqual("zoned.type", "'ZonedDateTime'");
+        checkStrictEqual("zoned.offset", "3600");
+        checkStrictEqual("zoned.zone", "'Europe/Berlin'");
+        checkStrictEqual("zoned.date.toISOString()", "'2024-02-29T11:34:56.000Z'");
+        checkStrictEqual("offsetDateTime.type", "'OffsetDateTime'");
+        checkStrictEqual("offsetDateTime.offset", "19815");
+        checkStrictEqual("offsetDateTime.date.toISOString()", "'2024-02-29T06:29:45.000Z'");
+        checkStrictEqual("region.type", "'ZoneRegion'");
+        checkStrictEqual("region.id", "'Europe/Berlin'");
+        checkStrictEqual("offset.type", "'ZoneOffset'");
+        checkStrictEqual("offset.offset", "19800");
+        checkStrictEqual("offset.id", "'+05:30'");
+    }
 }
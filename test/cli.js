@@ -0,0 +1,151 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const cli = path.join(__dirname, '..', 'bin', 'java-deserialize.js');
+
+// From bottom of https://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html
+const specExample = Buffer.from((
+    'ac ed 00 05 73 72 00 04 4c 69 73 74 69 c8 8a 15' +
+    '40 16 ae 68 02 00 02 49 00 05 76 61 6c 75 65 4c' +
+    '00 04 6e 65 78 74 74 00 06 4c 4c 69 73 74 3b 78' +
+    '70 00 00 00 11 73 71 00 7e 00 00 00 00 00 13 70' +
+    '71 00 7e 00 03').replace(/ /g, ''), 'hex');
+
+// Stream from the 'Date and Calendar' test case in generated.js.
+const dates = (
+    'H4sIAAAAAAAAA21Tz2sTQRT+dpM2SdOGWlutP0g8FTyY4kWQ4qXGytaUCCnWJlQc' +
+    'zWQzdTNJZybNRkH0H7D+B+JBTz2IXsSLeCuIogcVwYMUFCzoRQv+OFRmN5v+oO8w' +
+    '+2be+9739n0zy9/R1RDYW8zOk0WSdgi307kr8/SqGrv7+uK9fnnUMQG3DsBU6Bqn' +
+    'NuMLuAlDCiQ8SEMxJ50hilbmbxvnZtWBkM5vRgEjtfAv/NKVAgNeplxw0tOsSqUi' +
+    '1frI8LsVI/+cmjAsdHHCa9LVhUMd5Hk3Unw1JAUObfKcFdSuCUb4aeJQXiJi6dSH' +
+    '918evXlhwphEv90JN1RtkQo3oPbAAebr2lRy5VPxTgjxAnqJoBOMOiWZp8pCosyE' +
+    'VBnSypVnKL1WQIxJ3XOeqgIiDuWMcmVhX5VxViVOhrSkxSc0RqdbiHHqqrz+QQtD' +
+    'kgpGnAtUSFbjOZ5XgpLqJMKKVWkR3WWPVsEsWkV0Md2A3hSyCF+vcaow6Ikyqpsf' +
+    '1U0UapyOuXUDgGF4q5bF//rDbghdberZ5ZHFtccPAuX2+CmRj21IpA1LADi2Zb/V' +
+    'UgCSAG7gxI9b+sArXZhZOnJy8Oncaqe0sdOkwPDmzPOsWndo0Pxfe+7y20vrD0MY' +
+    'sNBTkipPFhm3pYVuyksZ0rLQ6zv++C1EKC9N1UrUQtTzuKr4h7qkhXjb81NigjRz' +
+    '5bLUQu4+fAtRqYhQHlUicAOymHfg1+pp+x6hH/Ap+zp+m9Tbz1IiCog3JM2QlsPs' +
+    'iioiXtXoLOW2qmhhx7dfx2Aox598W29mlu+bMLIwrYzCgK+7foyjeSUYt8fcukJ4' +
+    'mkoVyLGr+bGdUm43T8fx5Z/7f3dHpz8HOvamDqeSqWTKW5o9ALrb6fpR9m2t6tbd' +
+    'jY1fq39Ky35Qm6mdgwqhM7z0H+Ei6p9TBAAA');
+
+// Run the command line tool with the given input on stdin.
+function run(args, input) {
+    const res = childProcess.spawnSync(process.execPath, [cli].concat(args), {
+        input: input,
+        encoding: 'utf8',
+    });
+    return {status: res.status, stdout: res.stdout, stderr: res.stderr};
+}
+
+describe('Command line', function() {
+
+    this.timeout(10000);
+
+    it('tree format', function() {
+        const res = run([], specExample);
+        expect(res.status).to.equal(0);
+        expect(res.stdout).to.equal([
+            '[0] List',
+            '  value: 17',
+            '  next: List &1',
+            '    value: 19',
+            '    next: null',
+            '[1] List *1',
+            '',
+        ].join('\n'));
+    });
+
+    it('dates', function() {
+        const input = zlib.gunzipSync(Buffer.from(dates, 'base64'));
+        expect(run([], input).stdout).to.contain(
+            '[1] java.util.Date\n' +
+            '  @: Array(1)\n' +
+            '    [0]: <8 bytes> 0000011f71fb04cb\n' +
+            '  date: 2009-02-13T23:31:30.123Z\n');
+        const res = JSON.parse(run(['-f', 'json'], input).stdout);
+        expect(res[1].date).to.equal('2009-02-13T23:31:30.123Z');
+    });
+
+    it('depth limit', function() {
+        const res = run(['--depth', '1'], specExample);
+        expect(res.stdout).to.contain('  next: List &1 {…}\n');
+    });
+
+    it('json format with hidden properties', function() {
+        const res = run(['-f', 'json', '--hidden', '-'], specExample);
+        expect(res.status).to.equal(0);
+        const json = JSON.parse(res.stdout);
+        expect(json).to.have.lengthOf(2);
+        expect(json[0]).to.deep.equal({
+            $class: 'List',
+            $extends: {List: {value: 17, next: json[1]}},
+            value: 17,
+            next: json[1],
+        });
+    });
+
+    it('records format', function() {
+        const res = run(['--format=records'], specExample);
+        expect(res.stdout.split('\n').slice(0, 3)).to.deep.equal([
+            '00000004  7e0002  TC_OBJECT  List',
+            '00000005  7e0000    TC_CLASSDESC  List 69c88a154016ae68 flags 0x02',
+            '00000026  7e0001      TC_STRING  "LList;"',
+        ]);
+        expect(res.stdout).to.contain('00000036              TC_REFERENCE  -> 7e0000\n');
+    });
+
+    it('truncated input', function() {
+        const res = run(['-f', 'records'], specExample.slice(0, 60));
+        expect(res.status).to.equal(1);
+        // Records which were complete are still listed.
+        expect(res.stdout).to.contain(
+            '00000005  7e0000    TC_CLASSDESC  List 69c88a154016ae68 flags 0x02\n');
+        expect(res.stdout).not.to.contain('TC_OBJECT');
+        expect(res.stderr).to.equal('Error in TC_OBJECT at offset 00000035: Premature end of input\n');
+    });
+
+    it('lenient parsing', function() {
+        const broken = Buffer.concat([specExample.slice(0, 53), Buffer.from('71007e0009', 'hex')]);
+        const res = run(['--lenient'], broken);
+        expect(res.status).to.equal(1);
+        expect(res.stdout).to.contain('    message: "Unknown handle 0x7e0009"\n');
+        expect(res.stderr).to.equal('Warning in TC_REFERENCE at offset 00000035: Unknown handle 0x7e0009\n');
+    });
+
+    it('typescript format for several files', function() {
+        const file = path.join(os.tmpdir(), 'java-deserialize-' + process.pid + '.ser');
+        fs.writeFileSync(file, specExample);
+        try {
+            const res = run(['-f', 'typescript', file, '-'], specExample.slice(0, 60));
+            expect(res.status).to.equal(1);
+            expect(res.stdout).to.contain('export interface List extends JavaObject {\n');
+            expect(res.stderr).to.equal('-: Error in TC_OBJECT at offset 00000035: Premature end of input\n');
+            expect(run([file, file]).stderr).to.match(/^Only one input file allowed for format tree\n/);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('bad arguments', function() {
+        const res = run(['--format', 'xml']);
+        expect(res.status).to.equal(2);
+        expect(res.stderr).to.match(/^Unknown format xml\nUsage:/);
+    });
+
+    it('missing file', function() {
+        const file = path.join(os.tmpdir(), 'java-deserialize-' + process.pid + '.missing');
+        const res = run([file]);
+        expect(res.status).to.equal(2);
+        expect(res.stdout).to.equal('');
+        expect(res.stderr).to.match(/^ENOENT: .*\.missing'\n$/);
+    });
+
+});
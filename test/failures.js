@@ -58,10 +58,10 @@ function str(str) {
     return uint16(chars.length >>> 1) + chars;
 }
 
-function parsing(hex) {
+function parsing(hex, options) {
     const buf = Buffer.from(hex, "hex");
     return function() {
-        return javaDeserialization.parse(buf);
+        return javaDeserialization.parse(buf, options);
     };
 }
 
@@ -103,6 +103,17 @@ describe("Failure scenarios", function() {
         )).to.throw(/bytes in a string/);
     });
 
+    it("malformed modified UTF-8", function() {
+        for (const bad of ["f09f9880", "c0", "e0a0", "80", "e041"]) {
+            const hex = STREAM_MAGIC + STREAM_VERSION +
+                  TC_STRING + uint16(bad.length >>> 1) + bad;
+            const lenient = parsing(hex)();
+            expect(lenient[0]).to.include("\ufffd");
+            expect(parsing(hex, {strictUtf: true}))
+                .to.throw(/Malformed modified UTF-8 at byte 0/);
+        }
+    });
+
     it("premature end", function() {
         const good = parsing(
             STREAM_MAGIC + STREAM_VERSION +
@@ -118,19 +129,31 @@ describe("Failure scenarios", function() {
         )).to.throw("Premature end of input").with.all.keys(["buf", "pos"]);
     });
 
-    it("reset not supported", function() {
-        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_RESET))
-            .to.throw("Don't know how to handle Reset");
+    it("reset inside object", function() {
+        const hex =
+              STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + TC_CLASSDESC +
+              str("[Ljava.lang.Object;") + "90ce589f1073296c" +
+              uint8(SC_SERIALIZABLE) + "0000" + TC_ENDBLOCKDATA + TC_NULL +
+              "00000001" + "?";
+        const good = parsing(hex.replace("?", TC_NULL))();
+        expect(good[0]).to.deep.equal([null]);
+        expect(parsing(hex.replace("?", TC_RESET)))
+            .to.throw("Reset not allowed here");
     });
 
-    it("exception not supported", function() {
-        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_EXCEPTION))
-            .to.throw("Don't know how to handle Exception");
+    it("exception without throwable", function() {
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_EXCEPTION + TC_STRING + str("foo")))
+            .to.throw("String not allowed here");
     });
 
-    it("proxy class description not supported", function() {
-        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_PROXYCLASSDESC))
-            .to.throw("Don't know how to handle ProxyClassDesc");
+    it("bad proxy class description", function() {
+        const hex =
+              STREAM_MAGIC + STREAM_VERSION + TC_PROXYCLASSDESC + "00000000" +
+              TC_ENDBLOCKDATA + "?";
+        const good = parsing(hex.replace("?", TC_NULL))();
+        expect(good[0].isProxy).to.be.true;
+        expect(parsing(hex.replace("?", TC_OBJECT)))
+            .to.throw("Object not allowed here");
     });
 
     it("unknown type", function() {
@@ -163,6 +186,86 @@ describe("Failure scenarios", function() {
             .to.throw("Object not allowed here");
     });
 
+    const intArray = TC_CLASSDESC + str("[I") + "4dba602676eab2a5" +
+          uint8(SC_SERIALIZABLE) + "0000" + TC_ENDBLOCKDATA + TC_NULL;
+
+    function limited(hex, options, code) {
+        expect(parsing(hex)).to.not.throw();
+        expect(parsing(hex, options))
+            .to.throw(Error).with.property("code", code);
+    }
+
+    it("array length limit", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + intArray +
+              "00000003" + "00000001" + "00000002" + "00000003";
+        expect(parsing(hex, {maxArrayLength: 3})).to.not.throw();
+        limited(hex, {maxArrayLength: 2}, "MAX_ARRAY_LENGTH");
+        expect(parsing(hex, {maxArrayLength: 2}))
+            .to.throw("Array length 3 exceeds limit of 2");
+    });
+
+    it("unknown handle", function() {
+        // The reset drops the handle of the string.
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_STRING + str("abc") +
+                       TC_RESET + TC_REFERENCE + "007e0000"))
+            .to.throw("Unknown handle 0x7e0000")
+            .with.property("code", "UNKNOWN_HANDLE");
+    });
+
+    it("reference to something other than a class description", function() {
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_STRING + str("a") +
+                       TC_OBJECT + TC_REFERENCE + "007e0000"))
+            .to.throw("Handle 0x7e0000 is not a class description")
+            .with.property("code", "UNEXPECTED_RECORD");
+    });
+
+    it("array or enum constant without a class", function() {
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + TC_NULL + "00000001" + TC_NULL))
+            .to.throw("Array without a class")
+            .with.property("code", "UNEXPECTED_RECORD");
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_ENUM + TC_NULL + TC_STRING + str("A")))
+            .to.throw("Enum without a class")
+            .with.property("code", "UNEXPECTED_RECORD");
+    });
+
+    it("negative array length", function() {
+        expect(parsing(STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + intArray + "ffffffff"))
+            .to.throw("Negative array length -1");
+    });
+
+    it("nesting depth limit", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION +
+              TC_ARRAY + TC_CLASSDESC + str("[[I") + "17f7e44f198f893c" +
+              uint8(SC_SERIALIZABLE) + "0000" + TC_ENDBLOCKDATA + TC_NULL +
+              "00000001" + TC_ARRAY + intArray + "00000000";
+        // Nested array, its class and the null super class of that
+        expect(parsing(hex, {maxDepth: 4})).to.not.throw();
+        limited(hex, {maxDepth: 3}, "MAX_DEPTH");
+    });
+
+    it("handle and object limits", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION +
+              TC_STRING + str("foo") + TC_STRING + str("bar") + TC_RESET +
+              TC_STRING + str("baz");
+        expect(parsing(hex, {maxHandles: 2, maxObjects: 3})).to.not.throw();
+        limited(hex, {maxHandles: 1}, "MAX_HANDLES");
+        limited(hex, {maxObjects: 2}, "MAX_OBJECTS");
+    });
+
+    it("string length limit", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION +
+              TC_STRING + str("abcdefg") +
+              TC_LONGSTRING + "0000000000000003" + utf8("abc");
+        expect(parsing(hex, {maxStringBytes: 7})).to.not.throw();
+        limited(hex, {maxStringBytes: 6}, "MAX_STRING_BYTES");
+    });
+
+    it("cyclic class hierarchy", function() {
+        expect(parsing(template1({}).replace(TC_ENDBLOCKDATA + TC_NULL,
+                                             TC_ENDBLOCKDATA + TC_REFERENCE + "007e0000")))
+            .to.throw("Cyclic class hierarchy");
+    });
+
     it("Wrong hash set size", function() {
         const hex=
               STREAM_MAGIC + STREAM_VERSION + TC_OBJECT + TC_CLASSDESC +
@@ -171,9 +274,255 @@ describe("Failure scenarios", function() {
               TC_ENDBLOCKDATA + TC_NULL +
               TC_BLOCKDATA + "0c" + "00000003" + "00000000" + "0000000?" +
               TC_STRING + str("foo") + TC_ENDBLOCKDATA;
-        const good = parsing(hex.replace("?", "1"));
+        expect(parsing(hex.replace("?", "1"))()[0].set).to.deep.equal(new Set(["foo"]));
+        // The size may be in a block data record of its own.
+        const split = hex.replace("0c" + "00000003" + "00000000",
+                                  "08" + "00000003" + "00000000" + TC_BLOCKDATA + "04");
+        expect(parsing(split.replace("?", "1"))()[0].set).to.deep.equal(new Set(["foo"]));
         expect(parsing(hex.replace("?", "3")))
-            .to.throw("Expected 3 elements but parsed 1");
+            .to.throw("No more objects in custom data");
+    });
+
+});
+
+describe("Version 1 external content", function() {
+
+    function external(name, content) {
+        return TC_OBJECT + TC_CLASSDESC + str(name) + "0000000000000001" +
+            uint8(SC_EXTERNALIZABLE) + "0000" + TC_ENDBLOCKDATA + TC_NULL + content;
+    }
+
+    it("is read by a registered reader", function() {
+        javaDeserialization.registerExternalReader(
+            "ExternalV1", "0000000000000001", function(cls) {
+                return [this.readBytes(4), this.content()];
+            });
+        const buf = Buffer.from(STREAM_MAGIC + STREAM_VERSION +
+            external("ExternalV1", int32(42) + TC_STRING + str("hi")) +
+            TC_STRING + str("after"), "hex");
+        const res = javaDeserialization.parse(buf);
+        expect(res).to.have.lengthOf(2);
+        expect(res[0]["@"]).to.deep.equal([Buffer.from(int32(42), "hex"), "hi"]);
+        expect(res[1]).to.equal("after");
+        expect(javaDeserialization.serialize(res)).to.deep.equal(buf);
+    });
+
+    it("can be guessed", function() {
+        const res = parsing(template1({flags: SC_EXTERNALIZABLE}), {guessExternal: true})();
+        expect(res[0]["@"]).to.deep.equal([Buffer.from("01234567", "hex")]);
+    });
+
+    it("is guessed as short as possible", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION + TC_OBJECT + TC_CLASSDESC +
+              str("Holder") + "0000000000000002" + uint8(SC_SERIALIZABLE) + "0002" +
+              utf8("L") + str("ext") + TC_STRING + str("Ljava/lang/Object;") +
+              utf8("L") + str("name") + TC_STRING + str("Ljava/lang/String;") +
+              TC_ENDBLOCKDATA + TC_NULL +
+              external("Guessed", TC_STRING + str("hi") + int32(7)) +
+              TC_STRING + str("Bob");
+        expect(parsing(hex)).to.throw("Can't parse version 1 external content of Guessed");
+        const res = parsing(hex, {guessExternal: true})();
+        expect(res).to.have.lengthOf(1);
+        expect(res[0].ext["@"]).to.deep.equal(["hi", Buffer.from(int32(7), "hex")]);
+        expect(res[0].name).to.equal("Bob");
+    });
+
+});
+
+describe("Lenient parsing", function() {
+
+    const Placeholder = javaDeserialization.Placeholder;
+
+    function lenient(hex, options) {
+        return parsing(hex, Object.assign({lenient: true}, options))();
+    }
+
+    it("keeps items before an unknown type", function() {
+        const res = lenient(STREAM_MAGIC + STREAM_VERSION +
+                            TC_STRING + str("ok") + "67" + TC_STRING + str("lost"));
+        expect(res).to.have.lengthOf(2);
+        expect(res[0]).to.equal("ok");
+        expect(res[1]).to.be.an.instanceof(Placeholder);
+        expect(res.diagnostics).to.deep.equal([{
+            type: null, offset: 9, position: 9,
+            code: "UNKNOWN_TYPE_CODE", path: "root",
+            message: "Don't know about type 0x67",
+        }]);
+    });
+
+    it("keeps partial objects", function() {
+        const res = lenient(template1({fieldType: "Q"}));
+        expect(res).to.have.lengthOf(1);
+        expect(res[0].class.name).to.equal("SomeClass");
+        expect(res[0].foo).to.be.an.instanceof(Placeholder);
+        expect(res[0].extends.SomeClass.foo).to.equal(res[0].foo);
+        expect(res.diagnostics).to.have.lengthOf(1);
+        expect(res.diagnostics[0]).to.include({
+            type: "Object", offset: 4, path: "root.foo",
+            message: "Don't know how to read field of type 'Q'",
+        });
+    });
+
+    it("keeps partial arrays", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + TC_CLASSDESC +
+              str("[Ljava.lang.Object;") + "90ce589f1073296c" + uint8(SC_SERIALIZABLE) +
+              "0000" + TC_ENDBLOCKDATA + TC_NULL + "00000003" +
+              TC_STRING + str("foo") + TC_OBJECT + TC_CLASS;
+        const res = lenient(hex);
+        expect(res[0]).to.have.lengthOf(2);
+        expect(res[0][0]).to.equal("foo");
+        expect(res[0][1]).to.be.an.instanceof(Placeholder);
+        expect(res[0][1]).to.include({type: "Object", offset: 50});
+        expect(res.diagnostics[0].message).to.equal("Class not allowed here");
+    });
+
+    it("keeps truncated input", function() {
+        const res = lenient(template1({}).slice(0, -4));
+        expect(res[0].class.name).to.equal("SomeClass");
+        expect(res[0].foo).to.be.an.instanceof(Placeholder);
+        expect(res.diagnostics[0].message).to.equal("Premature end of input");
+    });
+
+    it("continues after a failed post-processor", function() {
+        const hex =
+              STREAM_MAGIC + STREAM_VERSION + TC_OBJECT + TC_CLASSDESC +
+              str("java.util.HashSet") + "ba44859596b8b734" +
+              uint8(SC_SERIALIZABLE | SC_WRITE_METHOD) + "0000" +
+              TC_ENDBLOCKDATA + TC_NULL +
+              TC_BLOCKDATA + "0c" + "00000003" + "00000000" + "00000003" +
+              TC_STRING + str("foo") + TC_ENDBLOCKDATA + TC_STRING + str("after");
+        const res = lenient(hex);
+        expect(res).to.have.lengthOf(2);
+        expect(res[0]["@"][1]).to.equal("foo");
+        expect(res[0].set).to.equal(undefined);
+        expect(res[1]).to.equal("after");
+        expect(res.diagnostics).to.have.lengthOf(1);
+        expect(res.diagnostics[0].message).to.equal("No more objects in custom data");
+    });
+
+    it("skips block data of unknown class flags", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION + TC_OBJECT + TC_CLASSDESC +
+              str("SomeClass") + "1234567887654321" +
+              uint8(SC_EXTERNALIZABLE | SC_BLOCK_DATA | SC_WRITE_METHOD) + "0000" +
+              TC_ENDBLOCKDATA + TC_NULL + TC_BLOCKDATA + "02" + "abcd" + TC_ENDBLOCKDATA +
+              TC_STRING + str("after");
+        const res = lenient(hex);
+        expect(res).to.have.lengthOf(2);
+        expect(res[0]["@"][0].toString("hex")).to.equal("abcd");
+        expect(res[1]).to.equal("after");
+        expect(res.diagnostics[0].message)
+            .to.equal("Don't know how to deserialize class with flags 0xd");
+    });
+
+    it("replaces unknown handles", function() {
+        const res = lenient(STREAM_MAGIC + STREAM_VERSION + TC_REFERENCE + "007e0005");
+        expect(res[0]).to.be.an.instanceof(Placeholder);
+        expect(res[0]).to.include({type: "Reference", offset: 4});
+        expect(res.diagnostics[0].message).to.equal("Unknown handle 0x7e0005");
+    });
+
+    it("doesn't replace unknown class descriptions", function() {
+        for (const tc of [TC_ARRAY, TC_OBJECT]) {
+            const res = lenient(STREAM_MAGIC + STREAM_VERSION + tc + TC_REFERENCE + "007e0009" +
+                                "00000001" + TC_NULL);
+            expect(res[0]).to.be.an.instanceof(Placeholder);
+            expect(res[0]).to.include({type: tc === TC_ARRAY ? "Array" : "Object", offset: 4});
+            expect(res.diagnostics).to.have.lengthOf(1);
+            expect(res.diagnostics[0]).to.include({
+                type: "Reference", code: "UNKNOWN_HANDLE", path: "root.class",
+            });
+        }
+    });
+
+    it("still enforces limits and filters", function() {
+        expect(parsing(template1({}), {lenient: true, maxObjects: 0}))
+            .to.throw(Error).with.property("code", "MAX_OBJECTS");
+        expect(parsing(template1({}), {lenient: true, filter: "!SomeClass"}))
+            .to.throw(Error).with.property("code", "FILTER_REJECTED");
+    });
+
+    it("stops at a stack overflow", function() {
+        const own = javaDeserialization.createDeserializer({handlers: [{
+            className: "SomeClass",
+            postProcessor: function overflow() { return overflow(); },
+        }]});
+        expect(() => own.parse(Buffer.from(template1({}), "hex"), {lenient: true}))
+            .to.throw(RangeError).that.does.not.have.property("code");
+    });
+
+});
+
+describe("Error context", function() {
+
+    const JavaDeserializationError = javaDeserialization.JavaDeserializationError;
+
+    function error(hex, options) {
+        try {
+            parsing(hex, options)();
+        } catch (err) {
+            return err;
+        }
+        throw new Error("No error");
+    }
+
+    it("premature end", function() {
+        const err = error(STREAM_MAGIC + STREAM_VERSION + TC_STRING + "00");
+        expect(err).to.include({code: "UNEXPECTED_END", offset: 5, end: 7, pos: 7});
+        expect(err.buf).to.have.lengthOf(6);
+    });
+
+    it("names the records and the path", function() {
+        const hex = STREAM_MAGIC + STREAM_VERSION + TC_ARRAY + TC_CLASSDESC +
+              str("[Ljava.lang.Object;") + "90ce589f1073296c" + uint8(SC_SERIALIZABLE) +
+              "0000" + TC_ENDBLOCKDATA + TC_NULL + "00000002" + TC_NULL +
+              template1({fieldType: "Q"}).slice(8);
+        const err = error(hex);
+        expect(err).to.be.an.instanceof(JavaDeserializationError);
+        expect(err).to.include({
+            name: "JavaDeserializationError",
+            code: "UNKNOWN_FIELD_TYPE",
+            offset: 77,
+            path: "root[1].foo",
+            excerpt: "51 00 03 66 6f 6f 78 70 | 01 23 45 67",
+        });
+        expect(err.records).to.deep.equal([
+            {type: "Array", offset: 4},
+            {type: "Object", offset: 45},
+        ]);
+    });
+
+    it("gives the path within class descriptions", function() {
+        const err = error(template1({}).replace(
+            TC_ENDBLOCKDATA + TC_NULL, TC_ENDBLOCKDATA + TC_STRING));
+        expect(err).to.include({
+            code: "UNEXPECTED_RECORD",
+            path: "root.class.super",
+            offset: 35,
+        });
+    });
+
+    it("wraps errors of post-processors", function() {
+        const own = javaDeserialization.createDeserializer({handlers: [{
+            className: "SomeClass",
+            postProcessor: () => { throw new TypeError("Kaboom"); },
+        }]});
+        let err;
+        try {
+            own.parse(Buffer.from(template1({}), "hex"));
+        } catch (e) {
+            err = e;
+        }
+        expect(err).to.include({code: "CALLBACK_FAILED", path: "root", message: "Kaboom"});
+        expect(err.cause).to.be.an.instanceof(TypeError);
+    });
+
+    it("codes for malformed strings and limits", function() {
+        expect(error(STREAM_MAGIC + STREAM_VERSION + TC_STRING + "0001" + "80",
+                     {strictUtf: true})).to.include({code: "MALFORMED_UTF", offset: 7});
+        expect(error("acde0005")).to.include({code: "BAD_MAGIC", offset: 0, path: "root"});
+        expect(error(template1({}), {maxDepth: 1}))
+            .to.be.an.instanceof(JavaDeserializationError)
+            .and.include({code: "MAX_DEPTH", path: "root.class"});
     });
 
 });
@@ -323,4 +323,309 @@ describe('Deserialization of', function() {
       expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
     }));
 
+  it('LinkedList', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAFGphdmEudXRpbC5MaW5rZWRMaXN0DClTXUpgiCIDAAB4cHcEAAAAAnQAA2Zvb3NyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7eHVxAH4AAAAAAAJxAH4ACXQAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('Vector', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEGphdmEudXRpbC5WZWN0b3LZl31bgDuvAQMAA0kAEWNhcGFjaXR5SW5jcmVtZW50SQAMZWxlbWVudENvdW50WwALZWxlbWVudERhdGF0ABNbTGphdmEvbGFuZy9PYmplY3Q7eHAAAAAAAAAAAnVxAH4AAAAAAAp0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3BwcHBwcHBweHVxAH4AAAAAAAJxAH4AC3QAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('Stack', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAD2phdmEudXRpbC5TdGFjaxD+KsK7CYYdAgAAeHIAEGphdmEudXRpbC5WZWN0b3LZl31bgDuvAQMAA0kAEWNhcGFjaXR5SW5jcmVtZW50SQAMZWxlbWVudENvdW50WwALZWxlbWVudERhdGF0ABNbTGphdmEvbGFuZy9PYmplY3Q7eHAAAAAAAAAAAnVxAH4AAAAAAAp0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3BwcHBwcHBweHVxAH4AAAAAAAJxAH4ADHQAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('CopyOnWriteArrayList', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAKWphdmEudXRpbC5jb25jdXJyZW50LkNvcHlPbldyaXRlQXJyYXlMaXN0eF2f1UarkMMDAAB4cHcEAAAAAnQAA2Zvb3NyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7eHVxAH4AAAAAAAJxAH4ACXQAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('PriorityQueue', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAF2phdmEudXRpbC5Qcmlvcml0eVF1ZXVllNowtPs/grEDAAJJAARzaXplTAAKY29tcGFyYXRvcnQAFkxqYXZhL3V0aWwvQ29tcGFyYXRvcjt4cAAAAANwdwQAAAAEdAADYmFydAADZm9vdAADYmF6eHVxAH4AAAAAAAJxAH4ACXQAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(3);
+      expect(itm.list.join(), "itm.list.join()").to.equal('bar,foo,baz');
+    }));
+
+  it('LinkedHashMap', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAF2phdmEudXRpbC5MaW5rZWRIYXNoTWFwNMBOXBBswPsCAAFaAAthY2Nlc3NPcmRlcnhyABFqYXZhLnV0aWwuSGFzaE1hcAUH2sHDFmDRAwACRgAKbG9hZEZhY3RvckkACXRocmVzaG9sZHhwP0AAAAAAAAx3CAAAABAAAAACdAADZm9vc3IAEWphdmEubGFuZy5JbnRlZ2VyEuKgpPeBhzgCAAFJAAV2YWx1ZXhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cAAAAHt0AANiYXJ0AANiYXp4AHVxAH4AAAAAAAJxAH4ADHQAA0VuZA==',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+      expect(Array.from(itm.map.keys()).join(), "Array.from(itm.map.keys()).join()").to.equal('foo,bar');
+    }));
+
+  it('TreeMap', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5UcmVlTWFwDMH2Pi0lauYDAAFMAApjb21wYXJhdG9ydAAWTGphdmEvdXRpbC9Db21wYXJhdG9yO3hwcHcEAAAAAnQAA2JhcnQAA2JhenQAA2Zvb3NyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7eHVxAH4AAAAAAAJxAH4ADHQAA0VuZA==',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+      expect(Array.from(itm.map.keys()).join(), "Array.from(itm.map.keys()).join()").to.equal('bar,foo');
+    }));
+
+  it('IdentityHashMap', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAGWphdmEudXRpbC5JZGVudGl0eUhhc2hNYXBxomUBM/LpgAMAAUkABHNpemV4cAAAAAJ3BAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3QAA2JhcnQAA2Jhenh1cQB+AAAAAAACcQB+AAt0AANFbmQ=',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('ConcurrentHashMap', testCase(
+    'H4sIAAAAAAAAA+2Uz2sTQRTHX3YNFFMw1qs/LkEM1F2stiihxFotBtIWEwrFnmY3s8kmm5n1zZt224rgxQpeCtaDiCjioUrFq568evJPUNGDB/HsVXbTNBZLjXfn8Jj3mM/3vXlvmK0fkNYIRxbKTbbIrICJujXrNLlLhfUP80+yKh8YAFEIAAZB+hKv++IG3IKUQjiZIJr8wHKlcDUiF2RN7myvMtWYZmHt4cehx2v5cRPMEmQUr7e5oGmmWiUY3PaqDd+jBRjYdhXBmU5Bdqxu99TtP9Rz1Q5TSGo8BABHNXbxvxe3g1eWihMjjy5Q97ZZhWD9m8aJsfL6/P38uAGpKTgYSFabYi5JjBBO7akUSLelrArngpAJKku35c1tDg+/b343IFWGA2pZuAT23q1IaHsXnasuC7cQhQrhXL8ZczNSeMzHGOV3R75VV99l4iYgnO5bImbfHH+28fLy9ZsddnQfdsJRhMyla5prXovZBkrhr3D05jYndbHy1YBUCdKKGPEIYawPrdklwZyA/y529tPrt6/a8kV3olC8CKDixzuQ2MH/sf1jBKbDMLErBKYnpUI43PsnSoJ4nePQl6fPf95eO98Z2iILdDy0bO/cjG47HO9sPTiW2fh8rzuO1TCMdJwvXka8GSUwr4jaL5PSsPGTBAAA',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('Properties', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAFGphdmEudXRpbC5Qcm9wZXJ0aWVzORLQenA2PpgCAAFMAAhkZWZhdWx0c3QAFkxqYXZhL3V0aWwvUHJvcGVydGllczt4cgATamF2YS51dGlsLkhhc2h0YWJsZRO7DyUhSuS4AwACRgAKbG9hZEZhY3RvckkACXRocmVzaG9sZHhwP0AAAAAAAAh3CAAAAAsAAAACdAADYmFydAADYmF6dAADZm9vc3IAEWphdmEubGFuZy5JbnRlZ2VyEuKgpPeBhzgCAAFJAAV2YWx1ZXhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cAAAAHt4cHVxAH4AAAAAAAJxAH4ADXQAA0VuZA==',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('LinkedHashSet', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAF2phdmEudXRpbC5MaW5rZWRIYXNoU2V02GzXWpXdKh4CAAB4cgARamF2YS51dGlsLkhhc2hTZXS6RIWVlri3NAMAAHhwdwwAAAAQP0AAAAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3h1cQB+AAAAAAACcQB+AAp0AANFbmQ=',
+    function(itm) {
+      expect(itm.set, "itm.set").to.be.an.instanceof(Set);
+      expect(itm.set.size, "itm.set.size").to.equal(2);
+      expect(Array.from(itm.set)[0], "Array.from(itm.set)[0]").to.equal('foo');
+      expect(Array.from(itm.set)[1].value, "Array.from(itm.set)[1].value").to.equal(123);
+    }));
+
+  it('TreeSet', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5UcmVlU2V03ZhQk5Xth1sDAAB4cHB3BAAAAAJ0AANiYXJ0AANmb294dXEAfgAAAAAAAnEAfgAHdAADRW5k',
+    function(itm) {
+      expect(itm.set, "itm.set").to.be.an.instanceof(Set);
+      expect(Array.from(itm.set).join(), "Array.from(itm.set).join()").to.equal('bar,foo');
+    }));
+
+  it('BitSet', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEGphdmEudXRpbC5CaXRTZXRu/Yh+OTSrIQMAAVsABGJpdHN0AAJbSnhwdXIAAltKeCAEtRKxdZMCAAB4cAAAAAMAAAAAAAAAIgAAAAAAAAABAAAAAAAAAAR4dXEAfgAAAAAAAnEAfgAIdAADRW5k',
+    function(itm) {
+      expect(itm.set, "itm.set").to.be.an.instanceof(Set);
+      expect(Array.from(itm.set).join(), "Array.from(itm.set).join()").to.equal('1,5,64,130');
+    }));
+
+  it('Collections.unmodifiableList', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAJmphdmEudXRpbC5Db2xsZWN0aW9ucyRVbm1vZGlmaWFibGVMaXN0/A8lMbXsjhACAAFMAARsaXN0dAAQTGphdmEvdXRpbC9MaXN0O3hyACxqYXZhLnV0aWwuQ29sbGVjdGlvbnMkVW5tb2RpZmlhYmxlQ29sbGVjdGlvbhlCAIDLXvceAgABTAABY3QAFkxqYXZhL3V0aWwvQ29sbGVjdGlvbjt4cHNyABNqYXZhLnV0aWwuQXJyYXlMaXN0eIHSHZnHYZ0DAAFJAARzaXpleHAAAAACdwQAAAACdAADZm9vc3IAEWphdmEubGFuZy5JbnRlZ2VyEuKgpPeBhzgCAAFJAAV2YWx1ZXhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cAAAAHt4cQB+AAl1cQB+AAAAAAACcQB+AA50AANFbmQ=',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('Collections.synchronizedList', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAJmphdmEudXRpbC5Db2xsZWN0aW9ucyRTeW5jaHJvbml6ZWRMaXN0lGPv44NEEHwCAAFMAARsaXN0dAAQTGphdmEvdXRpbC9MaXN0O3hyACxqYXZhLnV0aWwuQ29sbGVjdGlvbnMkU3luY2hyb25pemVkQ29sbGVjdGlvbiph+E0JnJm1AwACTAABY3QAFkxqYXZhL3V0aWwvQ29sbGVjdGlvbjtMAAVtdXRleHQAEkxqYXZhL2xhbmcvT2JqZWN0O3hwc3IAE2phdmEudXRpbC5BcnJheUxpc3R4gdIdmcdhnQMAAUkABHNpemV4cAAAAAJ3BAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3hxAH4ACHhxAH4ACnVxAH4AAAAAAAJxAH4AD3QAA0VuZA==',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('Collections.unmodifiableMap', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAJWphdmEudXRpbC5Db2xsZWN0aW9ucyRVbm1vZGlmaWFibGVNYXDxpaj+dPUHQgIAAUwAAW10AA9MamF2YS91dGlsL01hcDt4cHNyABFqYXZhLnV0aWwuSGFzaE1hcAUH2sHDFmDRAwACRgAKbG9hZEZhY3RvckkACXRocmVzaG9sZHhwP0AAAAAAAAx3CAAAABAAAAACdAADYmFydAADYmF6dAADZm9vc3IAEWphdmEubGFuZy5JbnRlZ2VyEuKgpPeBhzgCAAFJAAV2YWx1ZXhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cAAAAHt4dXEAfgAAAAAAAnEAfgAOdAADRW5k',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('Collections.synchronizedMap', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAJWphdmEudXRpbC5Db2xsZWN0aW9ucyRTeW5jaHJvbml6ZWRNYXAbc/kJS0s5ewMAAkwAAW10AA9MamF2YS91dGlsL01hcDtMAAVtdXRleHQAEkxqYXZhL2xhbmcvT2JqZWN0O3hwc3IAEWphdmEudXRpbC5IYXNoTWFwBQfawcMWYNEDAAJGAApsb2FkRmFjdG9ySQAJdGhyZXNob2xkeHA/QAAAAAAADHcIAAAAEAAAAAJ0AANiYXJ0AANiYXp0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3hxAH4ABnh1cQB+AAAAAAACcQB+AA90AANFbmQ=',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('empty collections', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAH2phdmEudXRpbC5Db2xsZWN0aW9ucyRFbXB0eUxpc3R6uBe0PKee3gIAAHhwc3IAHmphdmEudXRpbC5Db2xsZWN0aW9ucyRFbXB0eVNldBX1ch20A8soAgAAeHBzcgAeamF2YS51dGlsLkNvbGxlY3Rpb25zJEVtcHR5TWFwWTYUhVrc59ACAAB4cHVxAH4AAAAAAAJxAH4ACXQAA0VuZA==',
+    function(list, set, map) {
+      expect(list.list, "list.list").to.be.an('Array');
+      expect(list.list, "list.list").to.have.lengthOf(0);
+      expect(set.set, "set.set").to.be.an.instanceof(Set);
+      expect(set.set.size, "set.set.size").to.equal(0);
+      expect(map.map, "map.map").to.be.an.instanceof(Map);
+      expect(map.map.size, "map.map.size").to.equal(0);
+      expect(map.obj, "map.obj").to.be.an('object').that.is.empty;
+    }));
+
+  it('singleton collections', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAI2phdmEudXRpbC5Db2xsZWN0aW9ucyRTaW5nbGV0b25MaXN0Ku8pEDynm5cCAAFMAAdlbGVtZW50dAASTGphdmEvbGFuZy9PYmplY3Q7eHB0AANmb29zcgAiamF2YS51dGlsLkNvbGxlY3Rpb25zJFNpbmdsZXRvblNldCxSQZgpwLG/AgABTAAHZWxlbWVudHEAfgAEeHBxAH4ABnNyACJqYXZhLnV0aWwuQ29sbGVjdGlvbnMkU2luZ2xldG9uTWFwnyMJkXF/a5ECAAJMAAFrcQB+AARMAAF2cQB+AAR4cHEAfgAGdAADYmFydXEAfgAAAAAAAnEAfgAMdAADRW5k',
+    function(list, set, map) {
+      expect(list.list.join(), "list.list.join()").to.equal('foo');
+      expect(set.set, "set.set").to.be.an.instanceof(Set);
+      expect(Array.from(set.set).join(), "Array.from(set.set).join()").to.equal('foo');
+      expect(map.map.get('foo'), "map.map.get('foo')").to.equal('bar');
+      expect(map.obj.foo, "map.obj.foo").to.equal('bar');
+    }));
+
+  it('Collections.nCopies', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAIGphdmEudXRpbC5Db2xsZWN0aW9ucyRDb3BpZXNMaXN0JgM8RbFwA/gCAAJJAAFuTAAHZWxlbWVudHQAEkxqYXZhL2xhbmcvT2JqZWN0O3hwAAAAA3QAA2Zvb3VxAH4AAAAAAAJxAH4AB3QAA0VuZA==',
+    function(itm) {
+      expect(itm.list.join(), "itm.list.join()").to.equal('foo,foo,foo');
+    }));
+
+  it('Arrays.asList', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAGmphdmEudXRpbC5BcnJheXMkQXJyYXlMaXN02aQ8vs2IBtICAAFbAAFhdAATW0xqYXZhL2xhbmcvT2JqZWN0O3hwdXEAfgAAAAAAAnQAA2Zvb3NyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7dXEAfgAAAAAAAnEAfgALdAADRW5k',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('List.of', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5Db2xsU2VyV46rtjobqBEDAAFJAAN0YWd4cAAAAAF3BAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3h1cQB+AAAAAAACcQB+AAl0AANFbmQ=',
+    function(itm) {
+      expect(itm.list, "itm.list").to.be.an('Array');
+      expect(itm.list, "itm.list").to.have.lengthOf(2);
+      expect(itm.list[0], "itm.list[0]").to.equal('foo');
+      expect(itm.list[1].value, "itm.list[1].value").to.equal(123);
+    }));
+
+  it('Set.of', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5Db2xsU2VyV46rtjobqBEDAAFJAAN0YWd4cAAAAAJ3BAAAAAJ0AANmb290AANiYXJ4dXEAfgAAAAAAAnEAfgAHdAADRW5k',
+    function(itm) {
+      expect(itm.set, "itm.set").to.be.an.instanceof(Set);
+      expect(itm.set.size, "itm.set.size").to.equal(2);
+      expect(itm.set.has('foo'), "itm.set.has('foo')").to.be.true;
+      expect(itm.set.has('bar'), "itm.set.has('bar')").to.be.true;
+    }));
+
+  it('Map.of', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5Db2xsU2VyV46rtjobqBEDAAFJAAN0YWd4cAAAAAN3BAAAAAR0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3QAA2JhcnQAA2Jhenh1cQB+AAAAAAACcQB+AAt0AANFbmQ=',
+    function(itm) {
+      expect(itm.obj.bar, "itm.obj.bar").to.equal('baz');
+      expect(itm.obj.foo.value, "itm.obj.foo.value").to.equal(123);
+      expect(itm.obj, "itm.obj").to.have.all.keys(['foo', 'bar']);
+      expect(itm.map, "itm.map").to.be.an.instanceof(Map);
+      expect(itm.map.get('bar'), "itm.map.get('bar')").to.equal('baz');
+      expect(itm.map.get('foo').value, "itm.map.get('foo').value").to.equal(123);
+      expect(itm.map.size, "itm.map.size").to.equal(2);
+    }));
+
+  it('BigInteger and BigDecimal', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAFGphdmEubWF0aC5CaWdJbnRlZ2VyjPyfH6k7+x0DAAZJAAhiaXRDb3VudEkACWJpdExlbmd0aEkAE2ZpcnN0Tm9uemVyb0J5dGVOdW1JAAxsb3dlc3RTZXRCaXRJAAZzaWdudW1bAAltYWduaXR1ZGV0AAJbQnhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cP///////////////v////7/////dXIAAltCrPMX+AYIVOACAAB4cAAAAA0BjukP9sNz4O5OPwrSeHNyABRqYXZhLm1hdGguQmlnRGVjaW1hbFTHFVf5gShPAwACSQAFc2NhbGVMAAZpbnRWYWx0ABZMamF2YS9tYXRoL0JpZ0ludGVnZXI7eHEAfgAFAAAAA3NxAH4AA////////////////v////7/////dXEAfgAHAAAAA7xhTnh4dXEAfgAAAAAAAnEAfgAOdAADRW5k',
+    function(bi, bd) {
+      expect(bi.signum, "bi.signum").to.equal(-1);
+      expect(bi.magnitude.length, "bi.magnitude.length").to.equal(13);
+      expect(bd.scale, "bd.scale").to.equal(3);
+      expect(bd.intVal.signum, "bd.intVal.signum").to.equal(-1);
+      expect(bd.intVal.magnitude.join(), "bd.intVal.magnitude.join()").to.equal('-68,97,78');
+    }));
+
+  it('Date and Calendar', testCase(
+    'H4sIAAAAAAAAA21Tz2sTQRT+dpM2SdOGWlutP0g8FTyY4kWQ4qXGytaUCCnWJlQczWQzdTNJZybNRkH0H7D+B+JBTz2IXsSLeCuIogcVwYMUFCzoRQv+OFRmN5v+oO8w+2be+9739n0zy9/R1RDYW8zOk0WSdgi307kr8/SqGrv7+uK9fnnUMQG3DsBU6BqnNuMLuAlDCiQ8SEMxJ50hilbmbxvnZtWBkM5vRgEjtfAv/NKVAgNeplxw0tOsSqUi1frI8LsVI/+cmjAsdHHCa9LVhUMd5Hk3Unw1JAUObfKcFdSuCUb4aeJQXiJi6dSH918evXlhwphEv90JN1RtkQo3oPbAAebr2lRy5VPxTgjxAnqJoBOMOiWZp8pCosyEVBnSypVnKL1WQIxJ3XOeqgIiDuWMcmVhX5VxViVOhrSkxSc0RqdbiHHqqrz+QQtDkgpGnAtUSFbjOZ5XgpLqJMKKVWkR3WWPVsEsWkV0Md2A3hSyCF+vcaow6Ikyqpsf1U0UapyOuXUDgGF4q5bF//rDbghdberZ5ZHFtccPAuX2+CmRj21IpA1LADi2Zb/VUgCSAG7gxI9b+sArXZhZOnJy8Oncaqe0sdOkwPDmzPOsWndo0Pxfe+7y20vrD0MYsNBTkipPFhm3pYVuyksZ0rLQ6zv++C1EKC9N1UrUQtTzuKr4h7qkhXjb81NigjRz5bLUQu4+fAtRqYhQHlUicAOymHfg1+pp+x6hH/Ap+zp+m9Tbz1IiCog3JM2QlsPsiioiXtXoLOW2qmhhx7dfx2Aox598W29mlu+bMLIwrYzCgK+7foyjeSUYt8fcukJ4mkoVyLGr+bGdUm43T8fx5Z/7f3dHpz8HOvamDqeSqWTKW5o9ALrb6fpR9m2t6tbdjY1fq39Ky35Qm6mdgwqhM7z0H+Ei6p9TBAAA',
+    function(date, ts, cal) {
+      expect(date.date, "date.date").to.be.an.instanceof(Date);
+      expect(date.date.getTime(), "date.date.getTime()").to.equal(1234567890123);
+      expect(ts.date.getTime(), "ts.date.getTime()").to.equal(1234567890123);
+      expect(ts.nanos, "ts.nanos").to.equal(123456789);
+      expect(cal.date.getTime(), "cal.date.getTime()").to.equal(1234567890123);
+      expect(cal.timeZone, "cal.timeZone").to.equal('Test');
+      expect(cal.zone.rawOffset, "cal.zone.rawOffset").to.equal(3600000);
+    }));
+
+  it('java.time values', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IADWphdmEudGltZS5TZXKVXYS6GyJKsQwAAHhwdw0CAAAAAEmWAtIHW80VeHNxAH4AA3cNAQAAAAAAAA6LAAAABXhzcQB+AAN3BwMAAAfoAh14c3EAfgADdwMEDOF4c3EAfgADdw4FAAAH6AIdDCI4LwcvQHhzcQB+AAN3DQ4AAAABAAAAAgAAAAN4dXEAfgAAAAAAAnEAfgAKdAADRW5k',
+    function(instant, duration, localDate, localTime, localDateTime, period) {
+      expect(instant.type, "instant.type").to.equal('Instant');
+      expect(instant.seconds.equals(1234567890), "instant.seconds.equals(1234567890)").to.be.true;
+      expect(instant.nanos, "instant.nanos").to.equal(123456789);
+      expect(instant.date.getTime(), "instant.date.getTime()").to.equal(1234567890123);
+      expect(duration.type, "duration.type").to.equal('Duration');
+      expect(duration.seconds.equals(3723), "duration.seconds.equals(3723)").to.be.true;
+      expect(duration.nanos, "duration.nanos").to.equal(5);
+      expect(localDate.type, "localDate.type").to.equal('LocalDate');
+      expect(localDate.year, "localDate.year").to.equal(2024);
+      expect(localDate.month, "localDate.month").to.equal(2);
+      expect(localDate.day, "localDate.day").to.equal(29);
+      expect(localTime.type, "localTime.type").to.equal('LocalTime');
+      expect(localTime.hour, "localTime.hour").to.equal(12);
+      expect(localTime.minute, "localTime.minute").to.equal(30);
+      expect(localTime.second, "localTime.second").to.equal(0);
+      expect(localDateTime.type, "localDateTime.type").to.equal('LocalDateTime');
+      expect(localDateTime.day, "localDateTime.day").to.equal(29);
+      expect(localDateTime.second, "localDateTime.second").to.equal(56);
+      expect(localDateTime.nano, "localDateTime.nano").to.equal(789000000);
+      expect(period.type, "period.type").to.equal('Period');
+      expect(period.years, "period.years").to.equal(1);
+      expect(period.months, "period.months").to.equal(2);
+      expect(period.days, "period.days").to.equal(3);
+    }));
+
+  it('java.time zones', testCase(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IADWphdmEudGltZS5TZXKVXYS6GyJKsQwAAHhwdxsGAAAH6AIdDCLHBAcADUV1cm9wZS9CZXJsaW54c3EAfgADdw0KAAAH6AId838AAE1neHNxAH4AA3cQBwANRXVyb3BlL0JlcmxpbnhzcQB+AAN3AggWeHVxAH4AAAAAAAJxAH4ACHQAA0VuZA==',
+    function(zoned, offsetDateTime, region, offset) {
+      expect(zoned.type, "zoned.type").to.equal('ZonedDateTime');
+      expect(zoned.offset, "zoned.offset").to.equal(3600);
+      expect(zoned.zone, "zoned.zone").to.equal('Europe/Berlin');
+      expect(zoned.date.toISOString(), "zoned.date.toISOString()").to.equal('2024-02-29T11:34:56.000Z');
+      expect(offsetDateTime.type, "offsetDateTime.type").to.equal('OffsetDateTime');
+      expect(offsetDateTime.offset, "offsetDateTime.offset").to.equal(19815);
+      expect(offsetDateTime.date.toISOString(), "offsetDateTime.date.toISOString()").to.equal('2024-02-29T06:29:45.000Z');
+      expect(region.type, "region.type").to.equal('ZoneRegion');
+      expect(region.id, "region.id").to.equal('Europe/Berlin');
+      expect(offset.type, "offset.type").to.equal('ZoneOffset');
+      expect(offset.offset, "offset.offset").to.equal(19800);
+      expect(offset.id, "offset.id").to.equal('+05:30');
+    }));
+
 });
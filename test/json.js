@@ -0,0 +1,142 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const Long = require('long');
+const zlib = require('zlib');
+const javaDeserialization = require('../');
+const parse = javaDeserialization.parse;
+const serialize = javaDeserialization.serialize;
+const toJSON = javaDeserialization.toJSON;
+const fromJSON = javaDeserialization.fromJSON;
+
+// From bottom of https://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html
+const specExample = Buffer.from((
+    'ac ed 00 05 73 72 00 04 4c 69 73 74 69 c8 8a 15' +
+    '40 16 ae 68 02 00 02 49 00 05 76 61 6c 75 65 4c' +
+    '00 04 6e 65 78 74 74 00 06 4c 4c 69 73 74 3b 78' +
+    '70 00 00 00 11 73 71 00 7e 00 00 00 00 00 13 70' +
+    '71 00 7e 00 03').replace(/ /g, ''), 'hex');
+
+// Stream from the 'Date and Calendar' test case in generated.js.
+const dates = (
+    'H4sIAAAAAAAAA21Tz2sTQRT+dpM2SdOGWlutP0g8FTyY4kWQ4qXGytaUCCnWJlQc' +
+    'zWQzdTNJZybNRkH0H7D+B+JBTz2IXsSLeCuIogcVwYMUFCzoRQv+OFRmN5v+oO8w' +
+    '+2be+9739n0zy9/R1RDYW8zOk0WSdgi307kr8/SqGrv7+uK9fnnUMQG3DsBU6Bqn' +
+    'NuMLuAlDCiQ8SEMxJ50hilbmbxvnZtWBkM5vRgEjtfAv/NKVAgNeplxw0tOsSqUi' +
+    '1frI8LsVI/+cmjAsdHHCa9LVhUMd5Hk3Unw1JAUObfKcFdSuCUb4aeJQXiJi6dSH' +
+    '918evXlhwphEv90JN1RtkQo3oPbAAebr2lRy5VPxTgjxAnqJoBOMOiWZp8pCosyE' +
+    'VBnSypVnKL1WQIxJ3XOeqgIiDuWMcmVhX5VxViVOhrSkxSc0RqdbiHHqqrz+QQtD' +
+    'kgpGnAtUSFbjOZ5XgpLqJMKKVWkR3WWPVsEsWkV0Md2A3hSyCF+vcaow6Ikyqpsf' +
+    '1U0UapyOuXUDgGF4q5bF//rDbghdberZ5ZHFtccPAuX2+CmRj21IpA1LADi2Zb/V' +
+    'UgCSAG7gxI9b+sArXZhZOnJy8Oncaqe0sdOkwPDmzPOsWndo0Pxfe+7y20vrD0MY' +
+    'sNBTkipPFhm3pYVuyksZ0rLQ6zv++C1EKC9N1UrUQtTzuKr4h7qkhXjb81NigjRz' +
+    '5bLUQu4+fAtRqYhQHlUicAOymHfg1+pp+x6hH/Ap+zp+m9Tbz1IiCog3JM2QlsPs' +
+    'iioiXtXoLOW2qmhhx7dfx2Aox598W29mlu+bMLIwrYzCgK+7foyjeSUYt8fcukJ4' +
+    'mkoVyLGr+bGdUm43T8fx5Z/7f3dHpz8HOvamDqeSqWTKW5o9ALrb6fpR9m2t6tbd' +
+    'jY1fq39Ky35Qm6mdgwqhM7z0H+Ei6p9TBAAA');
+
+function viaJSON(contents) {
+    return fromJSON(JSON.stringify(toJSON(contents)));
+}
+
+function roundTrip(b64data) {
+    return function() {
+        const bytes = Buffer.from(b64data, 'base64');
+        const res = serialize(viaJSON(parse(bytes)));
+        expect(res.toString('hex')).to.equal(bytes.toString('hex'));
+    };
+}
+
+describe('JSON export and import', function() {
+
+    it('keeps object identity', function() {
+        const res = viaJSON(parse(specExample));
+        expect(res).to.have.lengthOf(2);
+        expect(res[0].next).to.equal(res[1]);
+        expect(res[0].class).to.equal(res[1].class);
+        expect(res[0].class.name).to.equal('List');
+        expect(res[0].extends.List.next).to.equal(res[1]);
+        expect(res[1].next).to.equal(null);
+        expect(Object.keys(res[0])).to.deep.equal(['value', 'next']);
+    });
+
+    it('tags only shared objects', function() {
+        const json = toJSON(parse(specExample));
+        expect(json.contents[0].$type).to.equal('object');
+        expect(json.contents[0].$id).to.equal(undefined);
+        expect(json.contents[0].class.$id).to.equal(0);
+        expect(json.contents[0].class.props.fields[1]).to.deep.equal(
+            {type: 'L', name: 'next', className: 'LList;'});
+        expect(json.contents[0].extends.List.next.$id).to.equal(1);
+        expect(json.contents[0].props.next).to.deep.equal({$ref: 1});
+        expect(json.contents[1]).to.deep.equal({$ref: 1});
+    });
+
+    it('primitive fields', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAD1ByaW1pdGl2ZUZpZWxkcwAAEjRWeJq8AgAIWgACYm9CAAJieUMAAWNEAAFkRgABZkkAAWlKAAFsUwABc3hwAesSNEAorhR64UeuQpkAAP///4X////////86/44dXEAfgAAAAAAAnEAfgAFdAADRW5k'));
+
+    it('enum', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABfnIACFNvbWVFbnVtAAAAAAAAAAASAAB4cgAOamF2YS5sYW5nLkVudW0AAAAAAAAAABIAAHhwdAADT05FfnEAfgADdAAFVEhSRUVxAH4AB3VxAH4AAAAAAAJxAH4ACXQAA0VuZA=='));
+
+    it('custom format', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IADEN1c3RvbUZvcm1hdAAAAAAAAAABAwACSQADZm9vTAADYmFydAASTGphdmEvbGFuZy9TdHJpbmc7eHAAADA5dAANSGVsbG8sIFdvcmxkIXcLtestALXrLQC16y10AAhhbmQgbW9yZXh1cQB+AAAAAAACcQB+AAh0AANFbmQ='));
+
+    it('EnumMap', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5FbnVtTWFwBl19976QfKEDAAFMAAdrZXlUeXBldAARTGphdmEvbGFuZy9DbGFzczt4cHZyAAhTb21lRW51bQAAAAAAAAAAEgAAeHIADmphdmEubGFuZy5FbnVtAAAAAAAAAAASAAB4cHcEAAAAAn5xAH4ABnQAA09ORXNyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7fnEAfgAGdAAFVEhSRUV0AANiYXp4cQB+AAlxAH4ADnVxAH4AAAAAAAJxAH4AEXQAA0VuZA=='));
+
+    it('values without a JSON representation', function() {
+        const shared = {x: 1};
+        const contents = [
+            Long.fromString('-1234567890123456789'),
+            Buffer.from('0102ff', 'hex'),
+            [NaN, Infinity, -Infinity, -0, 0.5],
+            new Map([[shared, 'a'], ['b', shared]]),
+            new Set([shared, 'c']),
+            {$weird: 'key'},
+            BigInt('-1234567890123456789'),
+        ];
+        contents.resets = [2, 4];
+        const res = viaJSON(contents);
+        expect(Long.isLong(res[0])).to.equal(true);
+        expect(res[0].toString()).to.equal('-1234567890123456789');
+        expect(res[1].toString('hex')).to.equal('0102ff');
+        expect(res[2]).to.deep.equal([NaN, Infinity, -Infinity, -0, 0.5]);
+        expect(Object.is(res[2][3], -0)).to.equal(true);
+        const key = Array.from(res[3].keys())[0];
+        expect(key).to.deep.equal({x: 1});
+        expect(res[3].get('b')).to.equal(key);
+        expect(res[4].has(key)).to.equal(true);
+        expect(res[5]).to.deep.equal({$weird: 'key'});
+        expect(res[6]).to.equal(BigInt('-1234567890123456789'));
+        expect(res.resets).to.deep.equal([2, 4]);
+    });
+
+    it('dates', function() {
+        const bytes = zlib.gunzipSync(Buffer.from(dates, 'base64'));
+        const res = viaJSON(parse(bytes));
+        for (const item of res.slice(1, 4)) {
+            expect(item.date).to.be.an.instanceof(Date);
+            expect(item.date.getTime()).to.equal(1234567890123);
+        }
+        expect(serialize(res).toString('hex')).to.equal(bytes.toString('hex'));
+        expect(toJSON([new Date(0)]).contents[0]).to.deep.equal({$type: 'date', value: 0});
+        expect(viaJSON([new Date(NaN)])[0].getTime()).to.be.NaN;
+    });
+
+    it('exceptions', function() {
+        const throwable = parse(specExample)[0];
+        const exn = new javaDeserialization.JavaException(throwable);
+        const res = viaJSON([exn]);
+        expect(res[0]).to.be.an.instanceof(javaDeserialization.JavaException);
+        expect(res[0].className).to.equal('List');
+        expect(res[0].throwable.value).to.equal(17);
+    });
+
+    it('bad input', function() {
+        expect(() => fromJSON({contents: [{$ref: 3}]})).to.throw('Unknown reference 3');
+        expect(() => fromJSON({contents: [{$type: 'foo'}]}))
+            .to.throw("Don't know how to decode $type foo");
+    });
+
+});
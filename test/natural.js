@@ -0,0 +1,142 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const zlib = require('zlib');
+const javaDeserialization = require('../');
+const parse = javaDeserialization.parse;
+
+// Streams from the test cases of the same name in generated.js.
+const boxedPrimitives = (
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVC' +
+    'ZWdpbnEAfgABc3IAEWphdmEubGFuZy5JbnRlZ2VyEuKgpPeBhzgCAAFJAAV2YWx1' +
+    'ZXhyABBqYXZhLmxhbmcuTnVtYmVyhqyVHQuU4IsCAAB4cP///4VzcgAPamF2YS5s' +
+    'YW5nLlNob3J0aE03EzRg2lICAAFTAAV2YWx1ZXhxAH4ABP44c3IADmphdmEubGFu' +
+    'Zy5Mb25nO4vkkMyPI98CAAFKAAV2YWx1ZXhxAH4ABP////////zrc3IADmphdmEu' +
+    'bGFuZy5CeXRlnE5ghO5Q9RwCAAFCAAV2YWx1ZXhxAH4ABOtzcgAQamF2YS5sYW5n' +
+    'LkRvdWJsZYCzwkopa/sEAgABRAAFdmFsdWV4cQB+AARAKK4UeuFHrnNyAA9qYXZh' +
+    'LmxhbmcuRmxvYXTa7cmi2zzw7AIAAUYABXZhbHVleHEAfgAEQpkAAHNyABFqYXZh' +
+    'LmxhbmcuQm9vbGVhbs0gcoDVnPruAgABWgAFdmFsdWV4cAFzcgATamF2YS5sYW5n' +
+    'LkNoYXJhY3RlcjSLR9lrGiZ4AgABQwAFdmFsdWV4cBI0dXEAfgAAAAAAAnEAfgAU' +
+    'dAADRW5k');
+
+const bigNumbers = (
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVC' +
+    'ZWdpbnEAfgABc3IAFGphdmEubWF0aC5CaWdJbnRlZ2VyjPyfH6k7+x0DAAZJAAhi' +
+    'aXRDb3VudEkACWJpdExlbmd0aEkAE2ZpcnN0Tm9uemVyb0J5dGVOdW1JAAxsb3dl' +
+    'c3RTZXRCaXRJAAZzaWdudW1bAAltYWduaXR1ZGV0AAJbQnhyABBqYXZhLmxhbmcu' +
+    'TnVtYmVyhqyVHQuU4IsCAAB4cP///////////////v////7/////dXIAAltCrPMX' +
+    '+AYIVOACAAB4cAAAAA0BjukP9sNz4O5OPwrSeHNyABRqYXZhLm1hdGguQmlnRGVj' +
+    'aW1hbFTHFVf5gShPAwACSQAFc2NhbGVMAAZpbnRWYWx0ABZMamF2YS9tYXRoL0Jp' +
+    'Z0ludGVnZXI7eHEAfgAFAAAAA3NxAH4AA////////////////v////7/////dXEA' +
+    'fgAHAAAAA7xhTnh4dXEAfgAAAAAAAnEAfgAOdAADRW5k');
+
+const enums = (
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVC' +
+    'ZWdpbnEAfgABfnIACFNvbWVFbnVtAAAAAAAAAAASAAB4cgAOamF2YS5sYW5nLkVu' +
+    'dW0AAAAAAAAAABIAAHhwdAADT05FfnEAfgADdAAFVEhSRUVxAH4AB3VxAH4AAAAA' +
+    'AAJxAH4ACXQAA0VuZA==');
+
+const hashMap = (
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVC' +
+    'ZWdpbnEAfgABc3IAEWphdmEudXRpbC5IYXNoTWFwBQfawcMWYNEDAAJGAApsb2Fk' +
+    'RmFjdG9ySQAJdGhyZXNob2xkeHA/QAAAAAAADHcIAAAAEAAAAAJ0AANiYXp0AANi' +
+    'YXJzcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGph' +
+    'dmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3QAA2Zvb3hxAH4ACXVxAH4A' +
+    'AAAAAAJxAH4AC3QAA0VuZA==');
+
+const dates = (
+    'H4sIAAAAAAAAA21Tz2sTQRT+dpM2SdOGWlutP0g8FTyY4kWQ4qXGytaUCCnWJlQc' +
+    'zWQzdTNJZybNRkH0H7D+B+JBTz2IXsSLeCuIogcVwYMUFCzoRQv+OFRmN5v+oO8w' +
+    '+2be+9739n0zy9/R1RDYW8zOk0WSdgi307kr8/SqGrv7+uK9fnnUMQG3DsBU6Bqn' +
+    'NuMLuAlDCiQ8SEMxJ50hilbmbxvnZtWBkM5vRgEjtfAv/NKVAgNeplxw0tOsSqUi' +
+    '1frI8LsVI/+cmjAsdHHCa9LVhUMd5Hk3Unw1JAUObfKcFdSuCUb4aeJQXiJi6dSH' +
+    '918evXlhwphEv90JN1RtkQo3oPbAAebr2lRy5VPxTgjxAnqJoBOMOiWZp8pCosyE' +
+    'VBnSypVnKL1WQIxJ3XOeqgIiDuWMcmVhX5VxViVOhrSkxSc0RqdbiHHqqrz+QQtD' +
+    'kgpGnAtUSFbjOZ5XgpLqJMKKVWkR3WWPVsEsWkV0Md2A3hSyCF+vcaow6Ikyqpsf' +
+    '1U0UapyOuXUDgGF4q5bF//rDbghdberZ5ZHFtccPAuX2+CmRj21IpA1LADi2Zb/V' +
+    'UgCSAG7gxI9b+sArXZhZOnJy8Oncaqe0sdOkwPDmzPOsWndo0Pxfe+7y20vrD0MY' +
+    'sNBTkipPFhm3pYVuyksZ0rLQ6zv++C1EKC9N1UrUQtTzuKr4h7qkhXjb81NigjRz' +
+    '5bLUQu4+fAtRqYhQHlUicAOymHfg1+pp+x6hH/Ap+zp+m9Tbz1IiCog3JM2QlsPs' +
+    'iioiXtXoLOW2qmhhx7dfx2Aox598W29mlu+bMLIwrYzCgK+7foyjeSUYt8fcukJ4' +
+    'mkoVyLGr+bGdUm43T8fx5Z/7f3dHpz8HOvamDqeSqWTKW5o9ALrb6fpR9m2t6tbd' +
+    'jY1fq39Ky35Qm6mdgwqhM7z0H+Ei6p9TBAAA');
+
+function natural(b64data) {
+    let bytes = Buffer.from(b64data, 'base64');
+    if (b64data.substring(0, 4) === 'H4sI')
+        bytes = zlib.gunzipSync(bytes);
+    const res = parse(bytes, {naturalValues: true});
+    return res.slice(1, -1);
+}
+
+describe('Natural values', function() {
+
+    it('Boxed primitives', function() {
+        expect(natural(boxedPrimitives)).to.deep.equal(
+            [-123, -456, BigInt(-789), -21, 12.34, 76.5, true, '\u1234']);
+    });
+
+    it('BigInteger and BigDecimal', function() {
+        expect(natural(bigNumbers)).to.deep.equal(
+            [BigInt('-123456789012345678901234567890'), '-12345.678']);
+    });
+
+    it('Enums', function() {
+        expect(natural(enums)).to.deep.equal(['ONE', 'THREE', 'THREE']);
+    });
+
+    it('Dates', function() {
+        const res = natural(dates);
+        expect(res).to.have.lengthOf(3);
+        for (const date of res) {
+            expect(date).to.be.an.instanceof(Date);
+            expect(date.getTime()).to.equal(1234567890123);
+        }
+    });
+
+    it('Map keys and field values', function() {
+        const itm = natural(hashMap)[0];
+        expect(itm.map).to.be.an.instanceof(Map);
+        expect(itm.map.get(123)).to.equal('foo');
+        expect(itm.map.get('baz')).to.equal('bar');
+        expect(itm['@'].slice(1)).to.deep.equal(['baz', 'bar', 123, 'foo']);
+        // The extends map keeps the original objects.
+        const data = itm.extends['java.util.HashMap']['@'];
+        expect(data[3].class.name).to.equal('java.lang.Integer');
+        expect(data[3].value).to.equal(123);
+    });
+
+    it('Arrays keep their class and identity', function() {
+        const res = parse(Buffer.from(boxedPrimitives, 'base64'), {naturalValues: true});
+        const begin = res[0];
+        expect(begin.class.name).to.equal('[Ljava.lang.Object;');
+        expect(begin[0]).to.equal('Begin');
+        expect(begin[1]).to.equal(begin);
+    });
+
+    it('Keeps objects with unexpected fields', function() {
+        const str = s => Buffer.byteLength(s).toString(16).padStart(4, '0') +
+              Buffer.from(s).toString('hex');
+        const hex = 'aced0005' +
+              // A Long with a String value
+              '7372' + str('java.lang.Long') + '3b8be490cc8f23df' + '020001' +
+              '4c' + str('value') + '74' + str('Ljava/lang/String;') + '7870' +
+              '74' + str('abc') +
+              // A BigDecimal without intVal
+              '7372' + str('java.math.BigDecimal') + '54c71557f981284f' + '020002' +
+              '49' + str('scale') + '4c' + str('intVal') + '74' + str('Ljava/math/BigInteger;') +
+              '7870' + '00000002' + '70';
+        const res = parse(Buffer.from(hex, 'hex'), {naturalValues: true});
+        expect(res[0].class.name).to.equal('java.lang.Long');
+        expect(res[0].value).to.equal('abc');
+        expect(res[1].class.name).to.equal('java.math.BigDecimal');
+        expect(res[1].intVal).to.equal(null);
+    });
+
+    it('Is off by default', function() {
+        const res = parse(Buffer.from(bigNumbers, 'base64'));
+        expect(res[1].class.name).to.equal('java.math.BigInteger');
+    });
+
+});
@@ -2,8 +2,41 @@
 
 const chai = require('chai');
 const expect = chai.expect;
+const childProcess = require('child_process');
+const path = require('path');
+const zlib = require('zlib');
+const Long = require('long');
 const javaDeserialization = require('../');
 const parse = javaDeserialization.parse;
+const serialize = javaDeserialization.serialize;
+
+// Stream from the 'Exception as regular object' test case,
+// with a RuntimeException("Kaboom") between the canaries.
+const runtimeException = (
+    'H4sIAAAAAAAAAIVSXWvUQBS9m83WNqAufmGrriBaUWQXQYWSIthllWKsoBWEBWU2' +
+    'ud1OnUzizMSNCqKIr+KrgvoHfBX8AX48FEQEH330TZ99seDc1P2Qgs7DTHJz7plz' +
+    'Tu6rH1DJFGxvByvsFqsLJrv1i50VDI3/5OPVl1V9RDgAeQoAjoHKHHa5vAn3oKQV' +
+    'TA1bLmXS8BhbeYip4Yl8cX3snHfi4TfqtexD4ADxaW3/6Sl/79sNiMVllfRYR+CX' +
+    '9ycPz/TerJbBDaASskyjgZ2FzgYhGwOkH8DmCA3j4gJqzboWt20Ed9koLrt+Gzxt' +
+    'WHhjUbHQImrtvyD9Dy2BMUpjKXfoLE2VJcRooFobqK63ZYaLRsC18fOUAvEMjJ1n' +
+    'nSSJbZy10Tg3cjtnj87Orh2Y6SdLYe75RwObePds+tTXRw648+AJLnEhizuoAtgS' +
+    'YSgY2WsKpjUJ2RTA+BIXuMBi/PPuxWiWk2hQKS69a6DcFNbQuN3rdLstWKDVMl1o' +
+    'IYf1ZiKEHQayfvCKjJOIL3GKnJz/2nro+Ovvj6sOlAJwha0Q+4T9ncf+TzCsT87B' +
+    '/dVrP2sFTSk0sGsk4SHM5qz7g1Iwn1GK3SYd+YPP+55+YM/LUJoHV/M7WBiEnkt7' +
+    'TqJ25xkdtBx6mLReWzL6DS3112r+AgAA');
+
+function kaboom() {
+    return parse(zlib.gunzipSync(Buffer.from(runtimeException, 'base64')))[1];
+}
+
+// Write an exception the way ObjectOutputStream does if writeObject fails.
+function failedStream(throwable, rest) {
+    return Buffer.concat([
+        Buffer.from('aced0005' + '7b', 'hex'),
+        serialize([throwable]).slice(4),
+        Buffer.from(rest, 'hex'),
+    ]);
+}
 
 describe('Special cases', function() {
 
@@ -23,4 +56,696 @@ describe('Special cases', function() {
         expect(res[1].next).to.equal(null);
     });
 
+    it('Modified UTF-8', function() {
+        const buf = Buffer.from(
+            'aced0005' +
+            '74000a' + '61' + 'c080' + '62' + 'eda0bd' + 'edb880' +
+            '7c' + '0000000000000005' + 'c3a4' + 'e282ac' +
+            '73' + '72' + '0005' + 'c39c6e69' + '6b' + '0000000000000001' + '02' +
+            '0001' + '49' + '0002' + 'c3b1' + '78' + '70' + '00000001',
+            'hex');
+        const res = parse(buf);
+        expect(res[0]).to.equal('a\u0000b\ud83d\ude00');
+        expect(res[1]).to.equal('\u00e4\u20ac');
+        expect(res[2].class.name).to.equal('\u00dcnik');
+        expect(res[2]['\u00f1']).to.equal(1);
+        expect(serialize(res.slice(0, 2)).toString('hex')).to.equal(
+            'aced0005' +
+            '74000a' + '61' + 'c080' + '62' + 'eda0bd' + 'edb880' +
+            '740005' + 'c3a4' + 'e282ac');
+    });
+
+    it('Reset between objects', function() {
+        const buf = Buffer.from(
+            'aced0005' +
+            '740003666f6f' + // "foo" gets handle 0x7e0000
+            '79' +
+            '740003626172' + // "bar" gets handle 0x7e0000
+            '71007e0000' +
+            '79', 'hex');
+        const res = parse(buf);
+        expect(res).to.deep.equal(['foo', 'bar', 'bar']);
+        expect(res.resets).to.deep.equal([1, 3]);
+        expect(Object.keys(res)).to.deep.equal(['0', '1', '2']);
+        expect(javaDeserialization.serialize(res).toString('hex'))
+            .to.equal(buf.toString('hex'));
+    });
+
+    it('Dynamic proxy', function() {
+        function str(s) {
+            return ('000' + s.length.toString(16)).slice(-4) +
+                Buffer.from(s).toString('hex');
+        }
+        const buf = Buffer.from(
+            'aced0005' + '73' +
+            '7d' + '00000002' + str('java.lang.Runnable') + str('java.io.Closeable') + '78' +
+            '72' + str('java.lang.reflect.Proxy') + 'e127da20cc1043cb' + '02' + '0001' +
+            '4c' + str('h') + '74' + str('Ljava/lang/reflect/InvocationHandler;') +
+            '78' + '70' +
+            // Only java.lang.reflect.Proxy has data, the field h
+            '73' + '72' + str('Handler') + '0000000000000001' + '02' + '0001' +
+            '49' + str('x') + '78' + '70' + '0000002a' +
+            '71007e0003', 'hex');
+        const res = parse(buf);
+        expect(res).to.have.lengthOf(2);
+        const proxy = res[0];
+        expect(proxy.class.isProxy).to.be.true;
+        expect(proxy.class.name).to.equal(null);
+        expect(proxy.class.interfaces).to.deep.equal(['java.lang.Runnable', 'java.io.Closeable']);
+        expect(proxy.class.fields).to.deep.equal([]);
+        expect(proxy.class.annotations).to.deep.equal([]);
+        expect(proxy.class.super.name).to.equal('java.lang.reflect.Proxy');
+        expect(proxy.h.class.name).to.equal('Handler');
+        expect(proxy.h.x).to.equal(42);
+        expect(proxy.extends).to.have.all.keys(['java.lang.reflect.Proxy']);
+        expect(res[1]).to.equal(proxy);
+        expect(serialize(res).toString('hex')).to.equal(buf.toString('hex'));
+    });
+
+    it('Exception written by a failed writer', function() {
+        const buf = failedStream(kaboom(),
+            '740003666f6f' + // "foo" gets handle 0x7e0000 after the reset
+            '71007e0000');
+        const res = parse(buf);
+        expect(res).to.have.lengthOf(3);
+        const exn = res[0];
+        expect(exn).to.be.an.instanceof(javaDeserialization.JavaException);
+        expect(exn).to.be.an.instanceof(Error);
+        expect(exn.name).to.equal('JavaException');
+        expect(exn.className).to.equal('java.lang.RuntimeException');
+        expect(exn.detailMessage).to.equal('Kaboom');
+        expect(exn.message).to.equal('java.lang.RuntimeException: Kaboom');
+        expect(exn.stack).to.equal(
+            'java.lang.RuntimeException: Kaboom\n' +
+            '    at Cls.met(Cls.java:123)');
+        expect(exn.stackTrace).to.deep.equal([{
+            declaringClass: 'Cls',
+            methodName: 'met',
+            fileName: 'Cls.java',
+            lineNumber: 123,
+        }]);
+        expect(exn.cause).to.equal(null);
+        expect(exn.suppressed).to.deep.equal([]);
+        expect(exn.throwable.class.name).to.equal('java.lang.RuntimeException');
+        expect(res[1]).to.equal('foo');
+        expect(res[2]).to.equal('foo');
+        expect(serialize(res).toString('hex')).to.equal(buf.toString('hex'));
+    });
+
+    it('Exception with cause', function() {
+        const outer = kaboom();
+        const inner = kaboom();
+        inner.detailMessage = null;
+        outer.cause = inner;
+        const exn = parse(failedStream(outer, ''))[0];
+        expect(exn.cause).to.be.an.instanceof(javaDeserialization.JavaException);
+        expect(exn.cause.message).to.equal('java.lang.RuntimeException');
+        expect(exn.cause.cause).to.equal(null);
+    });
+
+    it('Exception inside an object', function() {
+        const buf = Buffer.concat([
+            Buffer.from('aced0005' + '75' + '72' + '0013', 'hex'),
+            Buffer.from('[Ljava.lang.Object;'),
+            Buffer.from('90ce589f1073296c' + '02' + '0000' + '78' + '70' +
+                        '00000001' + '7b', 'hex'),
+            serialize([kaboom()]).slice(4),
+        ]);
+        expect(() => parse(buf)).to.throw(javaDeserialization.JavaException,
+            'java.lang.RuntimeException: Kaboom');
+    });
+
+    it('Huge Collections.nCopies', function() {
+        // Collections.nCopies(3, "foo"), asking for 0x7fffffff copies instead.
+        const hex = Buffer.from(
+            'rO0ABXNyACBqYXZhLnV0aWwuQ29sbGVjdGlvbnMkQ29waWVzTGlzdCYDPEWxcAP4AgACSQABbkwAB2VsZW1lbnR0ABJMamF2YS9sYW5nL09iamVjdDt4cAAAAAN0AANmb28=',
+            'base64').toString('hex');
+        expect(parse(Buffer.from(hex, 'hex'))[0].list).to.deep.equal(['foo', 'foo', 'foo']);
+        const buf = Buffer.from(hex.replace('787000000003', '78707fffffff'), 'hex');
+        const res = parse(buf)[0];
+        expect(res.list).to.equal(undefined);
+        expect(res.n).to.equal(0x7fffffff);
+        expect(res.element).to.equal('foo');
+        expect(() => parse(buf, {maxArrayLength: 1000}))
+            .to.throw('Number of copies 2147483647 exceeds limit of 1000');
+    });
+
+});
+
+describe('Class filters', function() {
+
+    const createFilter = javaDeserialization.createFilter;
+    const buf = () => zlib.gunzipSync(Buffer.from(runtimeException, 'base64'));
+
+    function status(pattern, className, info) {
+        return createFilter(pattern)(Object.assign({
+            className: className,
+            serialVersionUID: '0000000000000000',
+            arrayLength: -1,
+            depth: 1,
+            references: 0,
+            streamBytes: 0,
+        }, info));
+    }
+
+    it('Class name patterns', function() {
+        expect(status('java.lang.String', 'java.lang.String')).to.equal(true);
+        expect(status('java.lang.String', 'java.lang.StringBuilder')).to.equal(undefined);
+        expect(status('java.lang.*', 'java.lang.String')).to.equal(true);
+        expect(status('java.lang.*', 'java.lang.reflect.Proxy')).to.equal(undefined);
+        expect(status('java.**', 'java.lang.reflect.Proxy')).to.equal(true);
+        expect(status('java.**', 'javax.Foo')).to.equal(undefined);
+        expect(status('java.lang.Str*', 'java.lang.StringBuilder')).to.equal(true);
+        expect(status('*', 'Foo')).to.equal(true);
+        expect(status('!*', 'Foo')).to.equal(false);
+    });
+
+    it('First matching pattern wins', function() {
+        const pattern = 'java.util.ArrayList;!java.util.*;java.**';
+        expect(status(pattern, 'java.util.ArrayList')).to.equal(true);
+        expect(status(pattern, 'java.util.HashMap')).to.equal(false);
+        expect(status(pattern, 'java.lang.String')).to.equal(true);
+        expect(status(pattern, 'org.example.Gadget')).to.equal(undefined);
+    });
+
+    it('Arrays are judged by their element type', function() {
+        expect(status('!java.lang.String', '[[Ljava.lang.String;')).to.equal(false);
+        expect(status('!*', '[I')).to.equal(undefined);
+    });
+
+    it('Limits', function() {
+        const pattern = 'maxarray=3;maxdepth=5;maxrefs=10;maxbytes=100;*';
+        expect(status(pattern, 'Foo', {arrayLength: 3, depth: 5,
+            references: 10, streamBytes: 100})).to.equal(true);
+        expect(status(pattern, '[I', {arrayLength: 4})).to.equal(false);
+        expect(status(pattern, 'Foo', {depth: 6})).to.equal(false);
+        expect(status(pattern, 'Foo', {references: 11})).to.equal(false);
+        expect(status(pattern, 'Foo', {streamBytes: 101})).to.equal(false);
+    });
+
+    it('Depth in the object graph', function() {
+        // An Object[] containing the Integer 123.
+        const buf = Buffer.from(
+            'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAFzcgAR' +
+            'amF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFu' +
+            'Zy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAew==', 'base64');
+        const seen = [];
+        parse(buf, {filter: info => { seen.push([info.className, info.depth]); }});
+        expect(seen).to.deep.equal([
+            ['[Ljava.lang.Object;', 1],
+            ['[Ljava.lang.Object;', 1],
+            ['java.lang.Integer', 2],
+            ['java.lang.Number', 2],
+        ]);
+        expect(parse(buf, {filter: 'maxdepth=2'})[0][0].value).to.equal(123);
+        expect(() => parse(buf, {filter: 'maxdepth=1'}))
+            .to.throw('Class java.lang.Integer rejected by filter');
+    });
+
+    it('Invalid patterns', function() {
+        expect(() => createFilter('maxfoo=3')).to.throw('Unknown filter limit');
+        expect(() => createFilter('maxarray=x')).to.throw('Invalid filter limit');
+        expect(() => createFilter('!')).to.throw('Class or package missing');
+        expect(() => createFilter('java.base/java.lang.*'))
+            .to.throw('Module names are not supported');
+    });
+
+    it('Pattern as parser option', function() {
+        expect(parse(buf(), {filter: 'java.**;!*'})).to.have.lengthOf(3);
+        expect(() => parse(buf(), {filter: '!java.util.Collections$*'}))
+            .to.throw('Class java.util.Collections$UnmodifiableList rejected by filter')
+            .with.property('code', 'FILTER_REJECTED');
+        expect(() => parse(buf(), {filter: 'maxarray=1'}))
+            .to.throw('Array [Ljava.lang.Object; of length 2 rejected by filter');
+    });
+
+    it('Callback as parser option', function() {
+        const seen = [];
+        parse(buf(), {filter: info => {
+            seen.push(info.className + '@' + info.serialVersionUID + '/' + info.arrayLength);
+        }});
+        expect(seen).to.include('java.lang.RuntimeException@9e5f06470a3483e5/-1');
+        expect(seen).to.include('[Ljava.lang.StackTraceElement;@02462a3c3cfd2239/1');
+        expect(() => parse(buf(), {
+            filter: info => info.className !== 'java.lang.Throwable',
+        })).to.throw('Class java.lang.Throwable rejected by filter');
+    });
+
+    it('Interfaces of proxy classes', function() {
+        const stream = Buffer.from('aced0005' + '73' + '7d' + '00000001' + '0003', 'hex');
+        const rest = Buffer.from('78' + '70', 'hex');
+        expect(() => parse(Buffer.concat([stream, Buffer.from('Foo'), rest]),
+                           {filter: '!Foo'}))
+            .to.throw('Class Foo rejected by filter');
+    });
+
+});
+
+describe('Representation of longs', function() {
+
+    // A long[] holding -789 and 2^53 + 1, which is not a safe integer.
+    const longArray = Buffer.from(
+        'aced0005' + '757200025b4a782004b512b17593020000787000000002' +
+        'fffffffffffffceb' + '0020000000000001', 'hex');
+
+    // From the 'BitSet' test case in generated.js.
+    const bitSet = (
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVC' +
+        'ZWdpbnEAfgABc3IAEGphdmEudXRpbC5CaXRTZXRu/Yh+OTSrIQMAAVsABGJpdHN0' +
+        'AAJbSnhwdXIAAltKeCAEtRKxdZMCAAB4cAAAAAMAAAAAAAAAIgAAAAAAAAABAAAA' +
+        'AAAAAAR4dXEAfgAAAAAAAnEAfgAIdAADRW5k');
+
+    it('Long objects by default', function() {
+        const arr = parse(longArray)[0];
+        expect(Long.isLong(arr[0])).to.equal(true);
+        expect(arr[0].toString()).to.equal('-789');
+        expect(arr[1].toString()).to.equal('9007199254740993');
+    });
+
+    it('BigInt', function() {
+        const arr = parse(longArray, {longs: 'bigint'})[0];
+        expect(Array.from(arr)).to.deep.equal([BigInt(-789), BigInt('9007199254740993')]);
+        expect(serialize([arr]).toString('hex')).to.equal(longArray.toString('hex'));
+    });
+
+    it('Numbers where safe', function() {
+        const arr = parse(longArray, {longs: 'number'})[0];
+        expect(Array.from(arr)).to.deep.equal([-789, BigInt('9007199254740993')]);
+        expect(serialize([arr]).toString('hex')).to.equal(longArray.toString('hex'));
+    });
+
+    it('Post-processors', function() {
+        for (const longs of ['long', 'bigint', 'number']) {
+            const itm = parse(Buffer.from(bitSet, 'base64'), {longs: longs})[1];
+            expect(Array.from(itm.set).join()).to.equal('1,5,64,130');
+        }
+    });
+
+    it('Unknown representation', function() {
+        expect(() => parse(longArray, {longs: 'double'}))
+            .to.throw('Unknown representation of longs: double');
+    });
+
+});
+
+describe('Typed arrays', function() {
+
+    function array(name, uid, items) {
+        return Object.defineProperties(items, {
+            class: {value: {
+                name: name, serialVersionUID: uid, flags: 0x02, isEnum: false,
+                fields: [], annotations: [], super: null,
+            }},
+            extends: {value: {}},
+        });
+    }
+
+    const arrays = [
+        array('[B', 'acf317f8060854e0', [-128, 0, 127]),
+        array('[C', 'b02666b0e25d84ac', ['a', '\u1234', '\uffff']),
+        array('[D', '3ea68c14ab635a1e', [-0.5, Infinity, 1e300]),
+        array('[F', '0b9c818922e00c42', [-0.5, Infinity, 1e30]),
+        array('[I', '4dba602676eab2a5', [-2147483648, 0, 2147483647]),
+        array('[J', '782004b512b17593', [Long.MIN_VALUE, Long.ZERO, Long.MAX_VALUE]),
+        array('[S', 'ef832e06e55db0fa', [-32768, 0, 32767]),
+        array('[Z', '578f203914b85de2', [true, false, true]),
+    ];
+    const buf = serialize(arrays);
+
+    it('Primitive arrays', function() {
+        const res = parse(buf, {typedArrays: true});
+        expect(res[0]).to.be.an.instanceof(Int8Array);
+        expect(Array.from(res[0])).to.deep.equal([-128, 0, 127]);
+        expect(res[1]).to.be.an.instanceof(Uint16Array);
+        expect(Array.from(res[1])).to.deep.equal([0x61, 0x1234, 0xffff]);
+        expect(res[2]).to.be.an.instanceof(Float64Array);
+        expect(Array.from(res[2])).to.deep.equal([-0.5, Infinity, 1e300]);
+        expect(res[3]).to.be.an.instanceof(Float32Array);
+        expect(Array.from(res[3])).to.deep.equal([-0.5, Infinity, Math.fround(1e30)]);
+        expect(res[4]).to.be.an.instanceof(Int32Array);
+        expect(Array.from(res[4])).to.deep.equal([-2147483648, 0, 2147483647]);
+        expect(res[5]).to.be.an.instanceof(BigInt64Array);
+        expect(Array.from(res[5])).to.deep.equal(
+            [BigInt('-9223372036854775808'), BigInt(0), BigInt('9223372036854775807')]);
+        expect(res[6]).to.be.an.instanceof(Int16Array);
+        expect(Array.from(res[6])).to.deep.equal([-32768, 0, 32767]);
+        expect(res[7]).to.be.an('Array');
+        expect(res[7]).to.deep.equal([true, false, true]);
+        expect(res[4].class.name).to.equal('[I');
+    });
+
+    it('Serialization', function() {
+        const res = parse(buf, {typedArrays: true});
+        expect(serialize(res).toString('hex')).to.equal(buf.toString('hex'));
+    });
+
+    it('JSON', function() {
+        const json = JSON.stringify(javaDeserialization.toJSON(parse(buf, {typedArrays: true})));
+        const res = javaDeserialization.fromJSON(json);
+        expect(res[5]).to.be.an.instanceof(BigInt64Array);
+        expect(res[5].class.name).to.equal('[J');
+        expect(serialize(res).toString('hex')).to.equal(buf.toString('hex'));
+    });
+
+    it('Truncated input', function() {
+        expect(() => parse(buf.slice(0, 40), {typedArrays: true}))
+            .to.throw('Premature end of input');
+    });
+
+});
+
+// A stream with an object of the given class, having a field x = 7.
+function stream(name, uid) {
+    const cls = {
+        name: name, serialVersionUID: uid, flags: 0x02,
+        fields: [{type: 'I', name: 'x'}], annotations: [], super: null,
+    };
+    const obj = Object.defineProperties({x: 7}, {
+        class: {value: cls},
+        extends: {value: {[name]: {x: 7}}},
+    });
+    return serialize([obj]);
+}
+
+function tagger(tag) {
+    return (cls, fields) => Object.assign({tag: tag}, fields);
+}
+
+describe('Handler registration', function() {
+
+    function tagged(name, uid) {
+        return parse(stream(name, uid))[0].tag;
+    }
+
+    const register = javaDeserialization.registerPostProcessor;
+
+    it('By name alone', function() {
+        register('registration.ByName', null, tagger('any'));
+        expect(tagged('registration.ByName', '0000000000000001')).to.equal('any');
+        expect(tagged('registration.ByName', '00000000000000ff')).to.equal('any');
+    });
+
+    it('By name and list of UIDs', function() {
+        register('registration.List', ['0000000000000001', '00000000000000AB'], tagger('list'));
+        expect(tagged('registration.List', '0000000000000001')).to.equal('list');
+        expect(tagged('registration.List', '00000000000000ab')).to.equal('list');
+    });
+
+    it('By pattern or predicate', function() {
+        register(/^registration\.pattern\./, null, tagger('regexp'));
+        register(cls => cls.name.endsWith('.Special'), '0000000000000001', tagger('predicate'));
+        expect(tagged('registration.pattern.Foo', '0000000000000001')).to.equal('regexp');
+        expect(tagged('registration.pattern.Special', '0000000000000001')).to.equal('predicate');
+        expect(tagged('registration.pattern.Special', '0000000000000002')).to.equal('regexp');
+    });
+
+    it('Precedence', function() {
+        register(/^registration\.Precedence$/, null, tagger('pattern'));
+        expect(tagged('registration.Precedence', '0000000000000001')).to.equal('pattern');
+        register('registration.Precedence', null, tagger('name'));
+        expect(tagged('registration.Precedence', '0000000000000001')).to.equal('name');
+        register('registration.Precedence', '0000000000000001', tagger('exact'));
+        expect(tagged('registration.Precedence', '0000000000000001')).to.equal('exact');
+        expect(tagged('registration.Precedence', '0000000000000002')).to.equal('name');
+    });
+
+    it('Invalid UIDs', function() {
+        expect(() => register('registration.Invalid', '1234', tagger('invalid')))
+            .to.throw('serialVersionUID must be 16 hex digits');
+        expect(() => register(42, null, tagger('invalid')))
+            .to.throw('className must be a string, RegExp or function');
+    });
+
+    it('Warning for unknown UIDs', function(done) {
+        register('registration.Known', '0000000000000001', tagger('known'));
+        process.once('warning', function(warning) {
+            expect(warning.code).to.equal('JAVA_DESERIALIZATION_UNKNOWN_UID');
+            expect(warning.message).to.equal('Class registration.Known has ' +
+                'serialVersionUID 0000000000000002 but handlers are registered ' +
+                'for 0000000000000001 only');
+            done();
+        });
+        expect(tagged('registration.Known', '0000000000000002')).to.equal(undefined);
+    });
+
+    it('Limited number of warnings', function() {
+        // In a process of its own, to count all its warnings.
+        const streams = [];
+        for (let i = 2; i < 100; ++i)
+            streams.push(stream('Many', i.toString(16).padStart(16, '0')).toString('hex'));
+        const script = `
+            const javaDeserialization = require(${JSON.stringify(path.join(__dirname, '..'))});
+            javaDeserialization.registerPostProcessor('Many', '0000000000000001', (cls, fields) => fields);
+            for (const hex of ${JSON.stringify(streams)})
+                javaDeserialization.parse(Buffer.from(hex, 'hex'));`;
+        const res = childProcess.spawnSync(process.execPath, ['-e', script], {encoding: 'utf8'});
+        expect(res.status).to.equal(0);
+        expect(res.stderr.match(/JAVA_DESERIALIZATION_UNKNOWN_UID/g)).to.have.lengthOf(20);
+    });
+
+    it('Global RegExps', function() {
+        register(/^registration\.global\./g, null, tagger('global'));
+        expect(tagged('registration.global.Foo', '0000000000000001')).to.equal('global');
+        expect(tagged('registration.global.Foo', '0000000000000001')).to.equal('global');
+    });
+
+});
+
+describe('Isolated deserializers', function() {
+
+    const createDeserializer = javaDeserialization.createDeserializer;
+    const isolated = stream('isolation.Foo', '0000000000000001');
+
+    // An ArrayList holding "a".
+    const arrayList = Buffer.from(
+        'aced0005' + '7372' + '0013' + Buffer.from('java.util.ArrayList').toString('hex') +
+        '7881d21d99c7619d' + '03' + '0001' + '49' + '0004' + Buffer.from('size').toString('hex') +
+        '7870' + '00000001' + '7704' + '00000001' + '74' + '0001' + '61' + '78', 'hex');
+
+    it('Have handlers of their own', function() {
+        const one = createDeserializer();
+        const two = createDeserializer();
+        one.registerPostProcessor('isolation.Foo', null, tagger('one'));
+        expect(one.parse(isolated)[0].tag).to.equal('one');
+        expect(two.parse(isolated)[0].tag).to.equal(undefined);
+        expect(parse(isolated)[0].tag).to.equal(undefined);
+    });
+
+    it('Are not affected by global registrations', function() {
+        const own = createDeserializer();
+        javaDeserialization.registerPostProcessor('isolation.Foo', null, tagger('global'));
+        expect(parse(isolated)[0].tag).to.equal('global');
+        expect(own.parse(isolated)[0].tag).to.equal(undefined);
+    });
+
+    it('Take handlers as option', function() {
+        const own = createDeserializer({handlers: [{
+            className: 'isolation.Foo',
+            serialVersionUID: '0000000000000001',
+            postProcessor: tagger('option'),
+        }]});
+        expect(own.parse(isolated)[0].tag).to.equal('option');
+        expect(own.serialize(own.parse(isolated))).to.deep.equal(isolated);
+    });
+
+    it('Can override built-in handlers', function() {
+        expect(parse(arrayList)[0].list).to.deep.equal(['a']);
+        for (const [className, serialVersionUID] of [
+            ['java.util.ArrayList', '7881d21d99c7619d'],
+            ['java.util.ArrayList', null],
+            [/^java\.util\./, null],
+        ]) {
+            const own = createDeserializer({handlers: [{
+                className: className,
+                serialVersionUID: serialVersionUID,
+                postProcessor: tagger('list'),
+            }]});
+            const res = own.parse(arrayList);
+            expect(res[0].tag).to.equal('list');
+            expect(res[0].list).to.equal(undefined);
+        }
+        expect(parse(arrayList)[0].list).to.deep.equal(['a']);
+    });
+
+    it('Use their options as defaults', function() {
+        const own = createDeserializer({longs: 'bigint'});
+        const longArray = Buffer.from(
+            'aced0005' + '757200025b4a782004b512b17593020000787000000001' +
+            'fffffffffffffceb', 'hex');
+        expect(own.parse(longArray)[0][0]).to.equal(BigInt(-789));
+        expect(own.parse(longArray, {longs: 'number'})[0][0]).to.equal(-789);
+    });
+
+    it('Parse streams with their handlers', async function() {
+        const own = createDeserializer();
+        own.registerPostProcessor('isolation.Foo', null, tagger('stream'));
+        const parser = own.createParseStream();
+        parser.end(isolated);
+        const items = [];
+        for await (const item of parser)
+            items.push(item);
+        expect(items[0].tag).to.equal('stream');
+    });
+
+});
+
+describe('Reading custom data', function() {
+
+    // An object of a class with a writeObject method, having a field x = 7
+    // and the given custom data.
+    function custom(data) {
+        const cls = {
+            name: 'custom.Data', serialVersionUID: '0000000000000001', flags: 0x03,
+            fields: [{type: 'I', name: 'x'}], annotations: [], super: null,
+        };
+        const obj = Object.defineProperties({x: 7}, {
+            class: {value: cls},
+            extends: {value: {'custom.Data': {x: 7, '@': data}}},
+        });
+        return serialize([obj]);
+    }
+
+    // Parse with a post-processor which reads the data using the given function.
+    function read(data, reader, options) {
+        let res;
+        const own = javaDeserialization.createDeserializer({handlers: [{
+            className: 'custom.Data',
+            postProcessor: (cls, fields, data, obj, input) => {
+                res = reader(input);
+                return fields;
+            },
+        }]});
+        own.parse(custom(data), options);
+        return res;
+    }
+
+    it('Primitives across block data records', function() {
+        const data = [
+            Buffer.from('01ff' + '0000', 'hex'),
+            Buffer.from('002a' + 'fffe' + '0041' + '3fc00000', 'hex'),
+            Buffer.from('3ff8000000000000' + 'fffffffffffffffe' + '0003616263' + 'cafe', 'hex'),
+        ];
+        const res = read(data, input => [
+            input.readBoolean(), input.readByte(), input.readInt(), input.readShort(),
+            input.readChar(), input.readFloat(), input.readDouble(),
+            input.readLong().toString(), input.readUTF(), input.available(),
+            input.readFully(2).toString('hex'), input.available(),
+        ]);
+        expect(res).to.deep.equal([true, -1, 42, -2, 'A', 1.5, 1.5, '-2', 'abc', 2, 'cafe', 0]);
+    });
+
+    it('Objects and fields', function() {
+        const data = [Buffer.from('00000002', 'hex'), 'foo', null];
+        const res = read(data, input => [
+            input.defaultReadObject().x, input.readInt(), input.readObject(), input.readObject(),
+        ]);
+        expect(res).to.deep.equal([7, 2, 'foo', null]);
+    });
+
+    it('Longs as configured', function() {
+        const data = [Buffer.from('fffffffffffffffe', 'hex')];
+        expect(read(data, input => input.readLong(), {longs: 'bigint'})).to.equal(BigInt(-2));
+    });
+
+    it('Mismatches', function() {
+        const data = [Buffer.from('00000002', 'hex'), 'foo'];
+        const mismatch = reader => () => read(data, reader);
+        expect(mismatch(input => input.readObject()))
+            .to.throw('Block data where an object was expected')
+            .with.property('code', 'INVALID_CUSTOM_DATA');
+        expect(mismatch(input => input.readLong()))
+            .to.throw('Premature end of block data');
+        expect(mismatch(input => [input.readInt(), input.readObject(), input.readObject()]))
+            .to.throw('No more objects in custom data');
+    });
+
+});
+
+describe('Class models', function() {
+
+    const createDeserializer = javaDeserialization.createDeserializer;
+
+    function classDesc(name, fields, sup) {
+        return {
+            name: name, serialVersionUID: '0000000000000001', flags: 0x02,
+            fields: fields, annotations: [], super: sup || null,
+        };
+    }
+
+    function object(cls, fields) {
+        const obj = {};
+        for (const name in fields)
+            Object.assign(obj, fields[name]);
+        return Object.defineProperties(obj, {
+            class: {value: cls},
+            extends: {value: fields},
+        });
+    }
+
+    // A person owning a dog, which is an animal owned by that person.
+    const animal = classDesc('model.Animal',
+        [{type: 'L', name: 'name', className: 'Ljava/lang/String;'}]);
+    const dog = classDesc('model.Dog',
+        [{type: 'L', name: 'owner', className: 'Lmodel/Person;'}], animal);
+    const person = classDesc('model.Person',
+        [{type: 'L', name: 'dog', className: 'Lmodel/Dog;'}]);
+    const owner = object(person, {'model.Person': {}});
+    owner.dog = owner.extends['model.Person'].dog = object(dog, {
+        'model.Animal': {name: 'Rex'},
+        'model.Dog': {owner: owner},
+    });
+    const buf = serialize([owner]);
+
+    class Animal {
+        greet() { return this.name + ' says hi'; }
+    }
+
+    class Dog extends Animal {
+        greet() { return super.greet() + ' to ' + this.owner.constructor.name; }
+    }
+
+    class Person {}
+
+    it('Instances of registered classes', function() {
+        const own = createDeserializer({handlers: [
+            {className: 'model.Animal', serialVersionUID: null, model: Animal},
+            {className: 'model.Person', serialVersionUID: null, model: Person},
+        ]});
+        const res = own.parse(buf)[0];
+        expect(res).to.be.an.instanceof(Person);
+        // Without a class of its own, a dog is just an animal.
+        expect(res.dog).to.be.an.instanceof(Animal);
+        expect(res.dog.greet()).to.equal('Rex says hi');
+        expect(res.dog.owner).to.equal(res);
+        expect(res.class.name).to.equal('model.Person');
+        expect(own.serialize([res])).to.deep.equal(buf);
+    });
+
+    it('Mirror the class hierarchy', function() {
+        const own = createDeserializer();
+        own.registerModel(/^model\./, null, Person);
+        own.registerModel('model.Animal', null, Animal);
+        own.registerModel('model.Dog', null, Dog);
+        const res = own.parse(buf)[0];
+        expect(res.dog).to.be.an.instanceof(Dog);
+        expect(res.dog.greet()).to.equal('Rex says hi to Person');
+        expect(res.dog.extends['model.Animal']).to.deep.equal({name: 'Rex'});
+    });
+
+    it('Factories', function() {
+        const own = createDeserializer();
+        own.registerFactory('model.Animal', null, (fields, obj) => ({
+            kind: obj.class.name,
+            name: fields['model.Animal'].name,
+            owner: fields['model.Dog'].owner,
+        }));
+        own.registerFactory('model.Person', null, fields => ({pet: fields['model.Person'].dog}));
+        const res = own.parse(Buffer.concat([buf, Buffer.from('71007e0002', 'hex')]));
+        expect(res[0].pet).to.include({kind: 'model.Dog', name: 'Rex'});
+        // The dog was created before the factory replaced its owner.
+        expect(res[0].pet.owner.class.name).to.equal('model.Person');
+        // Later references get the replacement.
+        expect(res[1]).to.equal(res[0]);
+    });
+
 });
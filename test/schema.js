@@ -0,0 +1,176 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const javaDeserialization = require('../');
+const parse = javaDeserialization.parse;
+const serialize = javaDeserialization.serialize;
+const extractSchema = javaDeserialization.extractSchema;
+const toTypeScript = javaDeserialization.toTypeScript;
+
+// From bottom of https://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html
+const specExample = Buffer.from((
+    'ac ed 00 05 73 72 00 04 4c 69 73 74 69 c8 8a 15' +
+    '40 16 ae 68 02 00 02 49 00 05 76 61 6c 75 65 4c' +
+    '00 04 6e 65 78 74 74 00 06 4c 4c 69 73 74 3b 78' +
+    '70 00 00 00 11 73 71 00 7e 00 00 00 00 00 13 70' +
+    '71 00 7e 00 03').replace(/ /g, ''), 'hex');
+
+// From the generated test cases, between the Begin and End markers.
+const arrayList = Buffer.from(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAE2phdmEudXRpbC5BcnJheUxpc3R4gdIdmcdhnQMAAUkABHNpemV4cAAAAAJ3BAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3h1cQB+AAAAAAACcQB+AAl0AANFbmQ=',
+    'base64');
+const arrayFields = Buffer.from(
+    'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAC0FycmF5RmllbGRzAAAAAAAAAAECAANbAAJpYXQAAltJWwADaWFhdAADW1tJWwACc2F0ABNbTGphdmEvbGFuZy9TdHJpbmc7eHB1cgACW0lNumAmduqypQIAAHhwAAAAAwAAAAwAAAAiAAAAOHVyAANbW0kX9+RPGY+JPAIAAHhwAAAAAnVxAH4ACAAAAAIAAAALAAAADHVxAH4ACAAAAAMAAAAVAAAAFgAAABd1cgATW0xqYXZhLmxhbmcuU3RyaW5nO63SVufpHXtHAgAAeHAAAAACdAADZm9vdAADYmFydXEAfgAAAAAAAnEAfgASdAADRW5k',
+    'base64');
+
+function classDesc(name, uid, fields) {
+    return {
+        name: name, serialVersionUID: uid, flags: 0x02,
+        fields: fields, annotations: [], super: null,
+    };
+}
+
+function object(cls, fields) {
+    const data = {};
+    data[cls.name] = fields;
+    return Object.defineProperties(Object.assign({}, fields), {
+        class: {value: cls},
+        extends: {value: data},
+    });
+}
+
+describe('Schema extraction', function() {
+
+    it('fields and the classes of their values', function() {
+        expect(extractSchema(parse(specExample))).to.deep.equal({classes: {
+            List: {
+                serialVersionUIDs: ['69c88a154016ae68'],
+                super: null,
+                isEnum: false,
+                fields: [
+                    {name: 'value', type: 'int'},
+                    {name: 'next', type: 'List', classes: ['List']},
+                ],
+                views: [],
+            },
+        }});
+    });
+
+    it('views of post-processors', function() {
+        const classes = extractSchema(parse(arrayList)).classes;
+        expect(classes['java.util.ArrayList'].views).to.deep.equal([
+            {name: '@', types: ['Array']},
+            {name: 'list', types: ['Array']},
+        ]);
+        expect(classes['java.lang.Integer'].super).to.equal('java.lang.Number');
+        expect(classes['java.lang.Number'].fields).to.deep.equal([]);
+        expect(classes['[Ljava.lang.Object;']).to.equal(undefined);
+    });
+
+    it('several versions of a class', function() {
+        const field = (name) => ({type: 'I', name: name});
+        const v1 = classDesc('Point', '0000000000000001', [field('x'), field('y')]);
+        const v2 = classDesc('Point', '0000000000000002', [field('x'), field('y'), field('z')]);
+        const streams = [
+            parse(serialize([object(v1, {x: 1, y: 2})])),
+            parse(serialize([object(v2, {x: 1, y: 2, z: 3})])),
+        ];
+        const point = extractSchema(streams).classes.Point;
+        expect(point.serialVersionUIDs).to.deep.equal(['0000000000000001', '0000000000000002']);
+        expect(point.fields).to.deep.equal([
+            {name: 'x', type: 'int'},
+            {name: 'y', type: 'int'},
+            {name: 'z', type: 'int', optional: true},
+        ]);
+    });
+
+});
+
+describe('TypeScript declarations', function() {
+
+    it('interfaces for classes', function() {
+        const ts = toTypeScript(extractSchema(parse(specExample)));
+        expect(ts).to.contain([
+            '/** List, serialVersionUID 69c88a154016ae68 */',
+            'export interface List extends JavaObject {',
+            '    value: number;',
+            '    next: List | null;',
+            '}',
+            '',
+        ].join('\n'));
+        expect(ts).to.contain('export interface JavaObject {');
+        expect(ts).not.to.contain('import("long")');
+    });
+
+    it('super classes and views', function() {
+        const ts = toTypeScript(extractSchema(parse(arrayList)));
+        expect(ts).to.contain([
+            'export interface ArrayList extends JavaObject {',
+            '    size: number;',
+            '    "@": unknown[];',
+            '    list: unknown[];',
+            '}',
+        ].join('\n'));
+        expect(ts).to.contain('export interface Integer extends Number {');
+        expect(ts).to.contain('export interface Number extends JavaObject {}');
+    });
+
+    it('arrays and longs', function() {
+        const schema = extractSchema(parse(arrayFields));
+        expect(toTypeScript(schema)).to.contain([
+            '    ia: Array<number> | null;',
+            '    iaa: Array<Array<number> | null> | null;',
+            '    sa: Array<string | null> | null;',
+        ].join('\n'));
+        expect(toTypeScript(schema, {typedArrays: true})).to.contain([
+            '    ia: Int32Array | null;',
+            '    iaa: Array<Int32Array | null> | null;',
+        ].join('\n'));
+        const point = {
+            serialVersionUIDs: ['0000000000000001'], super: null, isEnum: false,
+            fields: [{name: 'id', type: 'long'}], views: [{name: 'stamp', types: ['Long']}],
+        };
+        const longs = toTypeScript({classes: {Point: point}});
+        expect(longs).to.contain('type Long = import("long");');
+        expect(longs).to.contain('    id: Long;');
+        expect(toTypeScript({classes: {Point: point}}, {longs: 'number'})).to.contain([
+            '    id: number | bigint;',
+            '    stamp: number | bigint;',
+        ].join('\n'));
+    });
+
+    it('enums', function() {
+        const ts = toTypeScript({classes: {
+            'java.lang.Enum': {
+                serialVersionUIDs: ['0000000000000000'], super: null, isEnum: true,
+                constants: [], fields: [], views: [],
+            },
+            'com.example.Color': {
+                serialVersionUIDs: ['0000000000000000'], super: 'java.lang.Enum', isEnum: true,
+                constants: ['RED', 'GREEN'], fields: [], views: [],
+            },
+        }});
+        expect(ts).to.contain('export interface Color extends JavaEnum<"RED" | "GREEN"> {}');
+        expect(ts).to.contain('export interface Enum extends JavaEnum {}');
+    });
+
+    it('interface names', function() {
+        const cls = (sup, fields) => ({
+            serialVersionUIDs: ['0000000000000001'], super: sup, isEnum: false,
+            fields: fields, views: [],
+        });
+        const ts = toTypeScript({classes: {
+            'a.Node': cls(null, [{name: 'id', type: 'int'}]),
+            'b.Node': cls('a.Node', [{name: 'id', type: 'java.lang.String'}]),
+            'Map': cls(null, []),
+            'java.util.Map': cls(null, []),
+        }});
+        expect(ts).to.contain('export interface a_Node extends JavaObject {');
+        // The type of a field hiding one of the super class may differ.
+        expect(ts).to.contain('export interface b_Node extends Omit<a_Node, "id"> {');
+        expect(ts).to.contain('export interface Map_2 extends JavaObject {}');
+        expect(ts).to.contain('export interface java_util_Map extends JavaObject {}');
+    });
+
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const javaDeserialization = require('../');
+const parse = javaDeserialization.parse;
+const serialize = javaDeserialization.serialize;
+
+// Neither the default reader nor the default writer apply to this one.
+javaDeserialization.registerClassDataParser('CompletelyCustomFormat', '0000000000000001', cls => ({}));
+javaDeserialization.registerClassDataWriter('CompletelyCustomFormat', '0000000000000001', (cls, fields) => {});
+
+// From bottom of https://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html
+const specExample = Buffer.from((
+    'ac ed 00 05 73 72 00 04 4c 69 73 74 69 c8 8a 15' +
+    '40 16 ae 68 02 00 02 49 00 05 76 61 6c 75 65 4c' +
+    '00 04 6e 65 78 74 74 00 06 4c 4c 69 73 74 3b 78' +
+    '70 00 00 00 11 73 71 00 7e 00 00 00 00 00 13 70' +
+    '71 00 7e 00 03').replace(/ /g, ''), 'hex');
+
+function roundTrip(b64data) {
+    return function() {
+        const bytes = Buffer.from(b64data, 'base64');
+        const res = serialize(parse(bytes));
+        expect(res.toString('hex')).to.equal(bytes.toString('hex'));
+    };
+}
+
+describe('Serialization of', function() {
+
+    it('example from format specification', function() {
+        const res = serialize(parse(specExample));
+        expect(res.toString('hex')).to.equal(specExample.toString('hex'));
+    });
+
+    it('primitive fields', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAD1ByaW1pdGl2ZUZpZWxkcwAAEjRWeJq8AgAIWgACYm9CAAJieUMAAWNEAAFkRgABZkkAAWlKAAFsUwABc3hwAesSNEAorhR64UeuQpkAAP///4X////////86/44dXEAfgAAAAAAAnEAfgAFdAADRW5k'));
+
+    it('array fields', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAC0FycmF5RmllbGRzAAAAAAAAAAECAANbAAJpYXQAAltJWwADaWFhdAADW1tJWwACc2F0ABNbTGphdmEvbGFuZy9TdHJpbmc7eHB1cgACW0lNumAmduqypQIAAHhwAAAAAwAAAAwAAAAiAAAAOHVyAANbW0kX9+RPGY+JPAIAAHhwAAAAAnVxAH4ACAAAAAIAAAALAAAADHVxAH4ACAAAAAMAAAAVAAAAFgAAABd1cgATW0xqYXZhLmxhbmcuU3RyaW5nO63SVufpHXtHAgAAeHAAAAACdAADZm9vdAADYmFydXEAfgAAAAAAAnEAfgASdAADRW5k'));
+
+    it('enum', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABfnIACFNvbWVFbnVtAAAAAAAAAAASAAB4cgAOamF2YS5sYW5nLkVudW0AAAAAAAAAABIAAHhwdAADT05FfnEAfgADdAAFVEhSRUVxAH4AB3VxAH4AAAAAAAJxAH4ACXQAA0VuZA=='));
+
+    it('custom format', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IADEN1c3RvbUZvcm1hdAAAAAAAAAABAwACSQADZm9vTAADYmFydAASTGphdmEvbGFuZy9TdHJpbmc7eHAAADA5dAANSGVsbG8sIFdvcmxkIXcLtestALXrLQC16y10AAhhbmQgbW9yZXh1cQB+AAAAAAACcQB+AAh0AANFbmQ='));
+
+    it('completely custom format', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAFkNvbXBsZXRlbHlDdXN0b21Gb3JtYXQAAAAAAAAAAQMAAkkAA2Zvb0wAA2JhcnQAEkxqYXZhL2xhbmcvU3RyaW5nO3hwdAANSGVsbG8sIFdvcmxkIXcPAAAwObXrLQC16y0AtesteHVxAH4AAAAAAAJxAH4AB3QAA0VuZA=='));
+
+    it('externalizable', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IACEV4dGVybmFs8N9gtNEyHREMAAB4cHcPAAAAC7XrLQC16y0AtestdAAIYW5kIG1vcmV4dXEAfgAAAAAAAnEAfgAGdAADRW5k'));
+
+    it('list wrapper with view shadowing a field', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAJmphdmEudXRpbC5Db2xsZWN0aW9ucyRTeW5jaHJvbml6ZWRMaXN0lGPv44NEEHwCAAFMAARsaXN0dAAQTGphdmEvdXRpbC9MaXN0O3hyACxqYXZhLnV0aWwuQ29sbGVjdGlvbnMkU3luY2hyb25pemVkQ29sbGVjdGlvbiph+E0JnJm1AwACTAABY3QAFkxqYXZhL3V0aWwvQ29sbGVjdGlvbjtMAAVtdXRleHQAEkxqYXZhL2xhbmcvT2JqZWN0O3hwc3IAE2phdmEudXRpbC5BcnJheUxpc3R4gdIdmcdhnQMAAUkABHNpemV4cAAAAAJ3BAAAAAJ0AANmb29zcgARamF2YS5sYW5nLkludGVnZXIS4qCk94GHOAIAAUkABXZhbHVleHIAEGphdmEubGFuZy5OdW1iZXKGrJUdC5TgiwIAAHhwAAAAe3hxAH4ACHhxAH4ACnVxAH4AAAAAAAJxAH4AD3QAA0VuZA=='));
+
+    it('EnumMap', roundTrip(
+        'rO0ABXVyABNbTGphdmEubGFuZy5PYmplY3Q7kM5YnxBzKWwCAAB4cAAAAAJ0AAVCZWdpbnEAfgABc3IAEWphdmEudXRpbC5FbnVtTWFwBl19976QfKEDAAFMAAdrZXlUeXBldAARTGphdmEvbGFuZy9DbGFzczt4cHZyAAhTb21lRW51bQAAAAAAAAAAEgAAeHIADmphdmEubGFuZy5FbnVtAAAAAAAAAAASAAB4cHcEAAAAAn5xAH4ABnQAA09ORXNyABFqYXZhLmxhbmcuSW50ZWdlchLioKT3gYc4AgABSQAFdmFsdWV4cgAQamF2YS5sYW5nLk51bWJlcoaslR0LlOCLAgAAeHAAAAB7fnEAfgAGdAAFVEhSRUV0AANiYXp4cQB+AAlxAH4ADnVxAH4AAAAAAAJxAH4AEXQAA0VuZA=='));
+
+});
+
+describe('Serializer', function() {
+
+    it('writes modified field values', function() {
+        const res = parse(specExample);
+        res[1].value = 42;
+        const again = parse(serialize(res));
+        expect(again[0].value).to.equal(17);
+        expect(again[0].next).to.equal(again[1]);
+        expect(again[1].value).to.equal(42);
+    });
+
+    it('shares repeated strings', function() {
+        const buf = serialize(['foo', 'foo']);
+        expect(buf.toString('hex')).to.equal(
+            'aced0005' + '740003666f6f' + '71007e0000');
+    });
+
+    it('writes long strings', function() {
+        const str = 'x'.repeat(0x10000);
+        const buf = serialize([str]);
+        expect(buf.readUInt8(4)).to.equal(0x7c);
+        expect(parse(buf)).to.deep.equal([str]);
+    });
+
+    it('writes long block data', function() {
+        const res = parse(specExample);
+        res[0].class.annotations.push(Buffer.alloc(0x100, 0xab));
+        const again = parse(serialize(res));
+        expect(again[0].class.annotations).to.have.lengthOf(1);
+        expect(again[0].class.annotations[0].toString('hex'))
+            .to.equal('ab'.repeat(0x100));
+    });
+
+    it('rejects objects without class', function() {
+        expect(() => serialize([{foo: 1}]))
+            .to.throw("Don't know how to serialize an object without class");
+        expect(() => serialize([123]))
+            .to.throw("Can't serialize number as an object");
+    });
+
+});
@@ -0,0 +1,234 @@
+"use strict";
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const javaDeserialization = require('../');
+const parse = javaDeserialization.parse;
+const serialize = javaDeserialization.serialize;
+
+// As in generated.js, for the CompletelyCustomFormat test.
+javaDeserialization.registerClassDataParser('CompletelyCustomFormat', '0000000000000001', cls => ({}));
+
+// From bottom of https://docs.oracle.com/javase/7/docs/platform/serialization/spec/protocol.html
+const specExample = Buffer.from((
+    'ac ed 00 05 73 72 00 04 4c 69 73 74 69 c8 8a 15' +
+    '40 16 ae 68 02 00 02 49 00 05 76 61 6c 75 65 4c' +
+    '00 04 6e 65 78 74 74 00 06 4c 4c 69 73 74 3b 78' +
+    '70 00 00 00 11 73 71 00 7e 00 00 00 00 00 13 70' +
+    '71 00 7e 00 03').replace(/ /g, ''), 'hex');
+
+// Feed the given chunks to a parse stream, collecting events as they happen.
+// The callback gets called once, for the first error or the end.
+function streaming(chunks, callback, options) {
+    const stream = javaDeserialization.createParseStream(options);
+    const events = [];
+    let done = false;
+    const finish = (err) => {
+        if (!done)
+            callback(err, events);
+        done = true;
+    };
+    stream.on('data', obj => events.push(obj));
+    stream.on('reset', () => events.push('<reset>'));
+    stream.on('error', err => finish(err));
+    stream.on('end', () => finish(null));
+    for (const chunk of chunks)
+        stream.write(chunk);
+    stream.end();
+}
+
+function bytewise(buf, size) {
+    const chunks = [];
+    for (let i = 0; i < buf.length; i += size || 1)
+        chunks.push(buf.slice(i, i + (size || 1)));
+    return chunks;
+}
+
+// The streams of the generated test cases.
+function generatedCases() {
+    const source = fs.readFileSync(path.join(__dirname, 'generated.js'), 'utf8');
+    const cases = [];
+    const re = /it\('(.*)', testCase\(\s*'([^']*)'/g;
+    for (let m = re.exec(source); m; m = re.exec(source)) {
+        let bytes = Buffer.from(m[2], 'base64');
+        if (m[2].substring(0, 4) === 'H4sI')
+            bytes = zlib.gunzipSync(bytes);
+        cases.push({name: m[1], bytes: bytes});
+    }
+    return cases;
+}
+
+describe('Streaming', function() {
+
+    it('whole input at once', function(done) {
+        streaming([specExample], (err, res) => {
+            expect(err).to.equal(null);
+            expect(res).to.have.lengthOf(2);
+            expect(res[0].value).to.equal(17);
+            expect(res[0].next).to.equal(res[1]);
+            expect(res[1].value).to.equal(19);
+            done();
+        });
+    });
+
+    it('one byte at a time', function(done) {
+        streaming(bytewise(specExample), (err, res) => {
+            expect(err).to.equal(null);
+            expect(res).to.have.lengthOf(2);
+            expect(res[0].next).to.equal(res[1]);
+            expect(res[1].value).to.equal(19);
+            done();
+        });
+    });
+
+    it('emits items as soon as they are complete', function(done) {
+        const stream = javaDeserialization.createParseStream();
+        const res = [];
+        stream.on('data', obj => res.push(obj));
+        stream.write(specExample.slice(0, 64));
+        setImmediate(() => {
+            expect(res).to.have.lengthOf(1);
+            expect(res[0].value).to.equal(17);
+            stream.write(specExample.slice(64));
+            setImmediate(() => {
+                expect(res).to.have.lengthOf(2);
+                expect(res[1].value).to.equal(19);
+                done();
+            });
+        });
+    });
+
+    it('keeps handles across resets', function(done) {
+        const buf = Buffer.from(
+            'aced0005' +
+            '740003666f6f' + '79' +
+            '740003626172' + '71007e0000' +
+            '7700' + '7703' + '616263', 'hex');
+        streaming(bytewise(buf), (err, res) => {
+            expect(err).to.equal(null);
+            expect(res.slice(0, 4)).to.deep.equal(['foo', '<reset>', 'bar', 'bar']);
+            expect(res[4]).to.have.lengthOf(0);
+            expect(res[5].toString()).to.equal('abc');
+            done();
+        });
+    });
+
+    it('large item in many chunks', function(done) {
+        const list = [];
+        for (let i = 0; i < 10000; ++i)
+            list.push('item' + i);
+        const buf = serialize([Object.defineProperty(list, 'class', {
+            value: {
+                name: '[Ljava.lang.String;',
+                serialVersionUID: 'add256e7e91d7b47',
+                flags: 2,
+                fields: [],
+                annotations: [],
+                super: null,
+            },
+        })]);
+        const chunks = [];
+        for (let i = 0; i < buf.length; i += 100)
+            chunks.push(buf.slice(i, i + 100));
+        streaming(chunks, (err, res) => {
+            expect(err).to.equal(null);
+            expect(res).to.have.lengthOf(1);
+            expect(res[0]).to.have.lengthOf(10000);
+            expect(res[0][9999]).to.equal('item9999');
+            done();
+        });
+    });
+
+    it('truncated input', function(done) {
+        streaming(bytewise(specExample.slice(0, 66)), (err, res) => {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.equal('Premature end of input');
+            expect(res).to.have.lengthOf(1);
+            done();
+        });
+    });
+
+    it('empty input', function(done) {
+        streaming([], (err, res) => {
+            expect(err.message).to.equal('Premature end of input');
+            done();
+        });
+    });
+
+    it('bad stream magic', function(done) {
+        streaming([Buffer.from('acde0005', 'hex')], (err, res) => {
+            expect(err.message).to.equal('STREAM_MAGIC not found');
+            done();
+        });
+    });
+
+    it('bad content', function(done) {
+        streaming([Buffer.from('aced0005' + '67', 'hex')], (err, res) => {
+            expect(err.message).to.equal("Don't know about type 0x67");
+            done();
+        });
+    });
+
+    it('errors give the position in the whole stream', function(done) {
+        const bytes = Buffer.from('aced0005' + '740003616263' + '74000378797a' + '67', 'hex');
+        expect(() => parse(bytes)).to.throw().with.property('offset', 16);
+        streaming(bytewise(bytes, 7), err => {
+            expect(err).to.include({code: 'UNKNOWN_TYPE_CODE', offset: 16});
+            // Only the bytes not parsed yet are still around.
+            expect(err.excerpt).to.match(/ 78 79 7a \| 67$/);
+            done();
+        });
+    });
+
+    it('ignores input after an error', function(done) {
+        const stream = javaDeserialization.createParseStream();
+        const events = [];
+        stream.on('data', obj => events.push(obj));
+        stream.on('error', err => events.push(err.message));
+        stream.on('end', () => events.push('<end>'));
+        stream.write(Buffer.from('aced0005' + '67', 'hex'));
+        stream.end(Buffer.from('740003616263', 'hex'));
+        setTimeout(() => {
+            expect(events).to.deep.equal(["Don't know about type 0x67"]);
+            done();
+        }, 20);
+    });
+
+    it('null items', function(done) {
+        streaming([Buffer.from('aced0005' + '70' + '70', 'hex')], (err, res) => {
+            expect(err).to.equal(null);
+            expect(res).to.deep.equal([javaDeserialization.NULL, javaDeserialization.NULL]);
+            done();
+        });
+    });
+
+    it('filters get the position in the whole stream', function(done) {
+        const bytes = generatedCases().find(c => c.name === 'Date and Calendar').bytes;
+        const expected = [];
+        parse(bytes, {filter: info => { expected.push(info.streamBytes); }});
+        const actual = [];
+        streaming(bytewise(bytes, 7), err => {
+            expect(err).to.equal(null);
+            // Incomplete items get parsed again.
+            expect(Array.from(new Set(actual))).to.deep.equal(expected);
+            done();
+        }, {filter: info => { actual.push(info.streamBytes); }});
+    });
+
+    describe('same results as parse for', function() {
+        for (const testCase of generatedCases()) {
+            it(testCase.name, function(done) {
+                streaming(bytewise(testCase.bytes, 7), (err, res) => {
+                    expect(err).to.equal(null);
+                    const items = res.map(item => item === javaDeserialization.NULL ? null : item);
+                    expect(items).to.deep.equal(parse(testCase.bytes).slice());
+                    done();
+                });
+            });
+        }
+    });
+
+});
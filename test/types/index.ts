@@ -0,0 +1,153 @@
+// Type-level tests for src/index.d.ts, checked by tsc without running them.
+
+import Long = require('long');
+import { Transform } from 'stream';
+import * as javaDeserialization from '../..';
+import {
+    JavaArray, JavaClass, JavaEnum, JavaList, JavaMap, JavaObject, JavaProxyClass,
+    JavaSet, LongValue, ParseResult, Schema,
+} from '../..';
+
+// Fails to compile unless the value has exactly the type T.
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+function expectType<T>() {
+    return function<V>(value: V, ...exact: Equal<T, V> extends true ? [] : [never]) {};
+}
+
+declare const buf: Buffer;
+declare const long: LongValue;
+
+// parse
+{
+    const res = javaDeserialization.parse(buf, {longs: 'bigint', typedArrays: true, filter: 'java.util.*;!*'});
+    expectType<ParseResult>()(res);
+    expectType<number[]>()(res.resets);
+    expectType<unknown>()(res[0]);
+    if (res.diagnostics)
+        expectType<string>()(res.diagnostics[0].path);
+    javaDeserialization.parse(buf, {filter: info => info.arrayLength < 100});
+    javaDeserialization.parse(buf, {onRecord: record => record.type === 'Object'});
+    // @ts-expect-error only Buffers can be parsed
+    javaDeserialization.parse('aced0005');
+    // @ts-expect-error no such representation
+    javaDeserialization.parse(buf, {longs: 'string'});
+}
+
+// Class descriptions and objects
+{
+    const obj = javaDeserialization.parse(buf)[0] as JavaObject;
+    expectType<JavaClass | JavaProxyClass>()(obj.class);
+    expectType<unknown>()(obj.someField);
+    expectType<unknown[] | undefined>()(obj['@']);
+    expectType<unknown>()(obj.extends['com.example.Base'].someField);
+    const cls = obj.class;
+    if (cls.isProxy) {
+        expectType<null>()(cls.name);
+        expectType<string[]>()(cls.interfaces);
+    } else {
+        expectType<string>()(cls.name);
+        expectType<'B' | 'C' | 'D' | 'F' | 'I' | 'J' | 'S' | 'Z' | 'L' | '['>()(cls.fields[0].type);
+        expectType<string | undefined>()(cls.fields[0].className);
+        expectType<JavaClass | null>()(cls.super);
+    }
+    // @ts-expect-error the hidden properties are read-only
+    obj.class = cls;
+}
+
+// Enums, arrays and longs
+{
+    const color = javaDeserialization.parse(buf)[0] as JavaEnum<'RED' | 'GREEN'>;
+    expectType<'RED' | 'GREEN'>()(color.valueOf());
+    expectType<JavaClass>()(color.class);
+    const arr = javaDeserialization.parse(buf)[0] as JavaArray<string | null>;
+    expectType<string | null>()(arr[0]);
+    expectType<string>()(arr.class.serialVersionUID);
+    expectType<Long | bigint | number>()(long);
+}
+
+// Views of the built-in post-processors
+{
+    const list = javaDeserialization.parse(buf)[0] as JavaList<string>;
+    expectType<string[]>()(list.list);
+    const set = javaDeserialization.parse(buf)[0] as JavaSet<number>;
+    expectType<Set<number>>()(set.set);
+    const map = javaDeserialization.parse(buf)[0] as JavaMap<string, JavaObject>;
+    expectType<Map<string, JavaObject>>()(map.map);
+    expectType<JavaObject>()(map.obj.someKey);
+}
+
+// Errors
+try {
+    javaDeserialization.parse(buf);
+} catch (err) {
+    if (err instanceof javaDeserialization.JavaDeserializationError) {
+        expectType<javaDeserialization.ErrorCode>()(err.code);
+        expectType<string | undefined>()(err.path);
+        expectType<number | undefined>()(err.offset);
+    } else if (err instanceof javaDeserialization.JavaException) {
+        expectType<string | null>()(err.detailMessage);
+        expectType<JavaObject>()(err.throwable);
+    }
+}
+
+// Handlers
+{
+    javaDeserialization.registerPostProcessor('java.util.HashSet', 'ba44859596b8b734',
+        function(cls, fields, data, obj, input) {
+            expectType<javaDeserialization.Parser>()(this);
+            expectType<JavaClass>()(cls);
+            expectType<unknown[]>()(data);
+            expectType<LongValue>()(input.readLong());
+            fields.set = new Set([input.readObject()]);
+            return fields;
+        });
+    javaDeserialization.registerClassDataParser(/^com\.example\./, null, function(cls) {
+        return this.values(cls);
+    });
+    javaDeserialization.registerExternalReader(cls => cls.name.endsWith('Ser'), ['0000000000000001'],
+        function() {
+            return [this.readBytes(this.readInt32()), this.content()];
+        });
+    javaDeserialization.registerClassDataWriter('Foo', null, function(cls, fields) {
+        this.values(cls, fields);
+        this.primI(42);
+    });
+    class Person {
+        constructor(readonly name: string) {}
+    }
+    javaDeserialization.registerModel('com.example.Person', null, Person);
+    javaDeserialization.registerFactory('com.example.Money', null, fields => fields['com.example.Money'].amount);
+    // @ts-expect-error post-processors return the fields
+    javaDeserialization.registerPostProcessor('Foo', null, () => {});
+    // @ts-expect-error a model is a class
+    javaDeserialization.registerModel('Foo', null, {});
+    // @ts-expect-error the serialVersionUID is a string
+    javaDeserialization.registerPostProcessor('Foo', 42, (cls, fields) => fields);
+}
+
+// Deserializers, streams, serialization and JSON
+{
+    const deserializer = javaDeserialization.createDeserializer({
+        longs: 'number',
+        handlers: [
+            {className: 'Foo', serialVersionUID: null, factory: () => null},
+            {className: 'Bar', postProcessor: (cls, fields) => fields},
+        ],
+    });
+    expectType<ParseResult>()(deserializer.parse(buf));
+    expectType<Transform>()(deserializer.createParseStream());
+    expectType<typeof javaDeserialization.NULL>()(javaDeserialization.NULL);
+    const res = javaDeserialization.parse(buf);
+    expectType<Buffer>()(javaDeserialization.serialize(res));
+    javaDeserialization.serialize(['a string', null]);
+    expectType<ParseResult>()(javaDeserialization.fromJSON(JSON.stringify(javaDeserialization.toJSON(res))));
+    const schema = javaDeserialization.extractSchema([res]);
+    expectType<Schema>()(schema);
+    expectType<string>()(javaDeserialization.toTypeScript(schema, {longs: 'bigint'}));
+    const filter = javaDeserialization.createFilter('maxdepth=20;java.lang.*;!*');
+    expectType<boolean | undefined>()(filter({
+        className: 'java.lang.String', serialVersionUID: null, arrayLength: -1,
+        depth: 1, references: 1, streamBytes: 10,
+    }));
+    expectType<javaDeserialization.RecordType | null>()(new javaDeserialization.Placeholder(null, 0, 'x').type);
+}